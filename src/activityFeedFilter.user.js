@@ -17,48 +17,164 @@ const config = {
         text: false, // Remove activities with only text
         uncommented: false, // Remove activities without comments
         unliked: false, // Remove activities without likes
+        minLikes: 0, // Remove activities with fewer likes (0 to disable)
+        maxLikes: 0, // Remove activities with more likes (0 to disable)
+        minReplies: 0, // Remove activities with fewer replies (0 to disable)
+        maxReplies: 0, // Remove activities with more replies (0 to disable)
+        animeList: false, // Remove anime list activities
+        mangaList: false, // Remove manga list activities
+        textStatus: false, // Remove text status activities
+        messages: false, // Remove messages
+        spoilers: false, // Remove activities with spoiler blocks
+        notCaughtUp: [], // Remove activities about these media titles, in the status line or in spoilers
+        duplicates: false, // Remove activities repeating the text, images, videos or links of an activity seen before
+        listStatuses: [], // Remove list activities with specific statuses, e.g. ['plans to watch', 'dropped']
         containsStrings: [], // Remove activities containing user-defined strings
     },
     options: {
         targetLoadCount: 2, // Minimum number of activities to display per "Load More" button click
+        duplicateWindow: 6, // Hours during which a repeated activity counts as a duplicate
+        maxPagesPerClick: 20, // Stop auto-loading after this many pages per "Load More" button click (0 for no limit)
+        maxLoadTime: 30, // Stop auto-loading after this many seconds per "Load More" button click (0 for no limit)
+        loadBackoff: 200, // Milliseconds between automatic clicks, doubled for each page without visible activities (0 to disable)
+        groupProgress: false, // Merge consecutive episode/chapter progress of the same user on the same media into one entry
+        infiniteScroll: false, // Load more activities when the "Load More" button scrolls into view instead of waiting for a click
         caseSensitive: false, // Use case-sensitive matching for string-based removal
+        wholeWord: false, // Only match whole words for string-based removal
         reverseConditions: false, // Display only posts that meet the specified removal conditions
         linkedConditions: [], // Groups of conditions to be evaluated together
+        hideAction: 'remove', // How to hide filtered activities: 'remove', 'collapse', 'blur' or 'dim'
+        conditionActions: {}, // Hide actions for specific conditions, e.g. { uncommented: 'collapse' }
+        rule: '', // Boolean expression replacing remove and linkedConditions, e.g. '(images and not liked) or contains("spoiler")'
+        explain: false, // Show why an activity was hidden or kept when hovering over it
+        showStats: false, // Show filter statistics and a log of hidden activities above the cancel button
     },
     runOn: {
         home: true, // Run the script on the home feed
         social: true, // Run the script on the 'Recent Activity' of anime/manga entries
-        profile: false, // Run the script on user profile feeds
+        profile: false, // Run the script on the profile feeds of other users
+        ownProfile: false, // Run the script on your own profile feed
         guestHome: false, // Run the script on the home feed for non-user visitors
+        custom: [], // Additional URL patterns, e.g. ['https://anilist.co/anime/*/*/social']
+    },
+    users: {
+        allow: [], // Always show activities from these users
+        block: [], // Always hide activities from these users
+        rules: {}, // Hide activities of specific users matching conditions, e.g. { SomeUser: ['animeList', 'mangaList'] }
+    },
+    replies: {
+        enabled: false, // Filter replies inside expanded activity threads with the conditions below
+        images: false, // Remove replies with images
+        gifs: false, // Remove replies with gifs
+        videos: false, // Remove replies with videos
+        spoilers: false, // Remove replies with spoiler blocks
+        minLikes: 0, // Remove replies with fewer likes (0 to disable)
+        containsStrings: [], // Remove replies containing user-defined strings
+    },
+    profiles: {
+        named: {}, // Named profiles overriding remove and options, e.g. { 'Home: strict': { remove: { unliked: true } } }
+        active: {}, // Active profile per feed, e.g. { home: 'Home: strict' }
     },
 };
 
 class MainApp {
-    constructor(activityHandler, uiHandler, config) {
+    constructor(activityHandler, uiHandler, config, replyHandler) {
         this.ac = activityHandler;
         this.ui = uiHandler;
         this.config = config;
+        this.replies = replyHandler;
+        this.activeConfig = config;
+        this.currentFeed = undefined;
+        this.currentUrl = null;
+        this.paused = false;
+        this.observer = null;
+        this.feedObserver = null;
+        this.feedRoot = null;
+        this.queue = new Map();
+        this.processed = new WeakSet();
+        this.pendingBatch = null;
+        this.pendingNavigation = null;
     }
 
+    BATCH_SIZE = 20;
+
+    BATCH_TIMEOUT = 200;
+
     observeMutations = (mutations) => {
-        if (this.isAllowedUrl()) {
+        if (!this.paused && this.isAllowedUrl()) {
+            if (this.getCurrentFeed() !== this.currentFeed) {
+                this.applyProfile();
+            }
+
             mutations.forEach(mutation => mutation.addedNodes.forEach(node => this.handleAddedNode(node)));
-            this.loadMoreOrReset();
+            this.scheduleBatch();
         }
     }
 
     handleAddedNode = (node) => {
         if (node instanceof HTMLElement) {
             if (node.matches(selectors.DIV.ACTIVITY)) {
-                this.ac.processNode(node);
+                this.enqueue(node, this.ac);
             } else if (node.matches(selectors.DIV.BUTTON)) {
                 this.ui.assignLoadMore(node);
             }
+
+            if (this.config.replies.enabled) {
+                this.processReplies(node);
+            }
+        }
+    }
+
+    processReplies = (node) => {
+        const replies = node.matches(selectors.DIV.REPLY) ? [node] : node.querySelectorAll(selectors.DIV.REPLY);
+        replies.forEach(reply => this.enqueue(reply, this.replies));
+    }
+
+    // Nodes that were filtered once are skipped when the page moves or re-renders them, refilter evaluates them again
+    enqueue = (node, handler) => {
+        if (!this.processed.has(node)) {
+            this.queue.set(node, handler);
+        }
+    }
+
+    scheduleBatch = () => {
+        this.pendingBatch ??= window.requestIdleCallback
+            ? window.requestIdleCallback(this.processQueue, { timeout: this.BATCH_TIMEOUT })
+            : setTimeout(this.processQueue, 0);
+    }
+
+    processQueue = (deadline = null) => {
+        this.pendingBatch = null;
+
+        if (this.paused) {
+            return;
+        }
+
+        let count = 0;
+
+        for (const [node, handler] of this.queue) {
+            if (count >= this.BATCH_SIZE && !(deadline?.timeRemaining() > 0)) {
+                break;
+            }
+
+            this.queue.delete(node);
+            this.processNode(node, handler);
+            count++;
         }
+
+        this.queue.size > 0 ? this.scheduleBatch() : this.loadMoreOrReset();
+    }
+
+    processNode = (node, handler) => {
+        this.processed.add(node);
+        handler.processNode(node);
     }
 
     loadMoreOrReset = () => {
-        if (this.ac.currentLoadCount < this.config.options.targetLoadCount && this.ui.userPressed) {
+        const { targetLoadCount } = this.activeConfig.options;
+
+        if (this.ac.currentLoadCount < targetLoadCount && this.ui.userPressed) {
+            this.ui.updateProgress({ shown: this.ac.currentLoadCount, target: targetLoadCount, scanned: this.ac.currentScanCount });
             this.ui.clickLoadMore();
         } else {
             this.ac.resetLoadCount();
@@ -67,324 +183,2801 @@ class MainApp {
     }
 
     isAllowedUrl = () => {
-        const allowedPatterns = Object.keys(this.URLS).filter(pattern => this.config.runOn[pattern]);
+        const allowedFeeds = Object.keys(this.URLS).filter(feed => this.config.runOn[feed]);
+        return allowedFeeds.some(this.matchesUrl) || this.matchesCustomUrl();
+    }
+
+    matchesUrl = (feed) => {
+        const url = window.location.href;
+        const params = { user: this.getUserName() };
+        const matches = UrlMatcher.matches(this.URLS[feed], url, params);
+
+        return feed === 'profile'
+            ? matches && !UrlMatcher.matches(this.URLS.ownProfile, url, params)
+            : matches;
+    }
+
+    matchesCustomUrl = () => this.config.runOn.custom.some(pattern => UrlMatcher.matches(pattern, window.location.href));
+
+    getUserName = () => {
+        const href = document.querySelector(selectors.LINK.PROFILE)?.getAttribute('href');
+        return href ? decodeURIComponent(href.split('/')[2]) : null;
+    }
+
+    getCurrentFeed = () => Object.keys(this.URLS).find(this.matchesUrl) ?? (this.matchesCustomUrl() ? 'custom' : null);
+
+    applyProfile = () => {
+        const { remove, options, profiles: { named, active } } = this.config;
+        const profile = named[active[this.getCurrentFeed()]] ?? {};
+
+        this.currentFeed = this.getCurrentFeed();
+        this.activeConfig = {
+            ...this.config,
+            remove: ConfigStore.merge(remove, profile.remove ?? {}),
+            options: ConfigStore.merge(options, profile.options ?? {}),
+        };
+        this.ac.config = this.activeConfig;
+        this.ui.setLimits(this.activeConfig.options);
+        this.ui.setInfiniteScroll(this.activeConfig.options.infiniteScroll);
+        this.replies.config = ActivityHandler.createReplyConfig(this.activeConfig);
+    }
+
+    refilter = () => {
+        this.applyProfile();
+
+        if (!this.paused && this.isAllowedUrl()) {
+            this.processFeed();
+            this.ac.resetLoadCount();
+        }
+    }
+
+    // Activities hidden before pausing stay hidden, new activities are left alone until filtering resumes
+    pause = () => {
+        this.paused = true;
+        this.queue.clear();
+        this.ui.resetState();
+    }
+
+    resume = () => {
+        this.paused = false;
+        this.refilter();
+    }
+
+    // A Load More button rendered before a route reset is not added again, so it is picked up from the page
+    processFeed = () => {
+        const loadMore = document.querySelector(selectors.DIV.BUTTON);
+
+        if (loadMore) {
+            this.ui.assignLoadMore(loadMore);
+        }
+
+        this.queue.clear();
+        document.querySelectorAll(selectors.DIV.ACTIVITY).forEach(node => this.processNode(node, this.ac));
+
+        if (this.config.replies.enabled) {
+            document.querySelectorAll(selectors.DIV.REPLY).forEach(reply => this.processNode(reply, this.replies));
+        }
+    }
+
+    handleNavigation = () => {
+        if (window.location.href === this.currentUrl) {
+            return;
+        }
+
+        this.currentUrl = window.location.href;
+        this.ui.resetRoute();
+        this.ac.resetLoadCount();
+        this.applyProfile();
+
+        if (!this.paused && this.isAllowedUrl()) {
+            this.processFeed();
+            this.loadMoreOrReset();
+        }
+    }
+
+    watchNavigation = () => {
+        const notify = () => window.dispatchEvent(new Event(this.NAVIGATION_EVENT));
 
-        return allowedPatterns.some(pattern => {
-            const regex = new RegExp(this.URLS[pattern].replace('*', '.*'));
-            return regex.test(window.location.href);
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = window.history[method];
+            window.history[method] = (...args) => {
+                const result = original.apply(window.history, args);
+                notify();
+                return result;
+            };
         });
+
+        window.addEventListener('popstate', notify);
+        window.addEventListener(this.NAVIGATION_EVENT, this.scheduleNavigation);
+    }
+
+    // History changes are reported before the router renders the new route, so the feed is scanned in a later task
+    scheduleNavigation = () => {
+        this.pendingNavigation ??= setTimeout(() => {
+            this.pendingNavigation = null;
+            this.handleNavigation();
+        }, 0);
     }
 
     initializeObserver = () => {
         this.observer = new MutationObserver(this.observeMutations);
-        this.observer.observe(document.body, { childList: true, subtree: true });
+        this.feedObserver = new MutationObserver(this.watchFeed);
+        this.feedObserver.observe(document.body, { childList: true, subtree: true });
+        this.observeFeed();
+        this.watchNavigation();
+        this.handleNavigation();
+    }
+
+    watchFeed = () => {
+        if (this.feedRoot === document.body || !this.feedRoot?.isConnected) {
+            this.observeFeed();
+        }
+    }
+
+    // Only the feed container is observed, the whole page is observed until it is rendered or on pages without one
+    observeFeed = () => {
+        const root = document.querySelector(selectors.DIV.FEED) ?? document.body;
+
+        if (root === this.feedRoot) {
+            return;
+        }
+
+        const pending = this.observer.takeRecords();
+        this.observer.disconnect();
+        this.observer.observe(root, { childList: true, subtree: true });
+        this.feedRoot = root;
+
+        const rendered = root === document.body ? [] : [...root.querySelectorAll(`${selectors.DIV.ACTIVITY}, ${selectors.DIV.BUTTON}`)];
+
+        if (pending.length > 0 || rendered.length > 0) {
+            this.observeMutations([...pending, { addedNodes: rendered }]);
+        }
     }
 
+    NAVIGATION_EVENT = 'activityFeedFilter:navigate';
+
+    READY_EVENT = 'activityFeedFilter:ready';
+
     URLS = {
         home: 'https://anilist.co/home',
-        social: 'https://anilist.co/*/social',
-        profile: 'https://anilist.co/user/*/',
+        social: 'https://anilist.co/**/social',
+        profile: 'https://anilist.co/user/*',
+        ownProfile: 'https://anilist.co/user/{user}',
         guestHome: 'https://anilist.co/social',
     };
 }
 
 class ActivityHandler {
-    constructor(config) {
+    constructor(config, stats = null, duplicates = null, events = null) {
         this.currentLoadCount = 0;
+        this.currentScanCount = 0;
         this.config = config;
+        this.stats = stats;
+        this.duplicates = duplicates;
+        this.events = events;
         this.linked = {
             TRUE: 1,
             FALSE: 0,
             NONE: -1,
         };
+        this.stubs = new WeakMap();
+        this.verdicts = new WeakMap();
+        this.groups = new WeakMap();
+        this.heads = new WeakMap();
+        this.restored = new WeakSet();
+        this.matches = new WeakMap();
     }
 
+    // Replies are filtered by their own conditions, the user allow and block lists and the base hide options
+    static createReplyConfig = ({ replies: { enabled, ...remove }, options, users }) => ({
+        remove,
+        options: { ...options, reverseConditions: false, linkedConditions: [], rule: '' },
+        users: { ...users, rules: {} },
+    });
+
+    USER_MATCH = {
+        ALLOW: 'allowed',
+        BLOCK: 'blocked',
+        RULE: 'rule',
+    };
+
+    ACTIONS = {
+        REMOVE: 'remove',
+        COLLAPSE: 'collapse',
+        BLUR: 'blur',
+        DIM: 'dim',
+    };
+
     CONDITIONS_MAP = new Map([
         ['uncommented', (node, reverse) => reverse ? !this.evaluateUncommentedRemoval(node) : this.evaluateUncommentedRemoval(node)],
         ['unliked', (node, reverse) => reverse ? !this.evaluateUnlikedRemoval(node) : this.evaluateUnlikedRemoval(node)],
+        ['minLikes', (node, reverse) => reverse ? !this.evaluateMinLikesRemoval(node) : this.evaluateMinLikesRemoval(node)],
+        ['maxLikes', (node, reverse) => reverse ? !this.evaluateMaxLikesRemoval(node) : this.evaluateMaxLikesRemoval(node)],
+        ['minReplies', (node, reverse) => reverse ? !this.evaluateMinRepliesRemoval(node) : this.evaluateMinRepliesRemoval(node)],
+        ['maxReplies', (node, reverse) => reverse ? !this.evaluateMaxRepliesRemoval(node) : this.evaluateMaxRepliesRemoval(node)],
         ['text', (node, reverse) => reverse ? !this.evaluateTextRemoval(node) : this.evaluateTextRemoval(node)],
         ['images', (node, reverse) => reverse ? !this.evaluateImageRemoval(node) : this.evaluateImageRemoval(node)],
         ['gifs', (node, reverse) => reverse ? !this.evaluateGifRemoval(node) : this.evaluateGifRemoval(node)],
         ['videos', (node, reverse) => reverse ? !this.evaluateVideoRemoval(node) : this.evaluateVideoRemoval(node)],
+        ['animeList', (node, reverse) => reverse ? !this.evaluateAnimeListRemoval(node) : this.evaluateAnimeListRemoval(node)],
+        ['mangaList', (node, reverse) => reverse ? !this.evaluateMangaListRemoval(node) : this.evaluateMangaListRemoval(node)],
+        ['textStatus', (node, reverse) => reverse ? !this.evaluateTextStatusRemoval(node) : this.evaluateTextStatusRemoval(node)],
+        ['messages', (node, reverse) => reverse ? !this.evaluateMessageRemoval(node) : this.evaluateMessageRemoval(node)],
+        ['spoilers', (node, reverse) => reverse ? !this.evaluateSpoilerRemoval(node) : this.evaluateSpoilerRemoval(node)],
+        ['notCaughtUp', (node, reverse) => this.evaluateNotCaughtUpRemoval(node, reverse)],
+        ['duplicates', (node, reverse) => reverse ? !this.evaluateDuplicateRemoval(node) : this.evaluateDuplicateRemoval(node)],
+        ['listStatuses', (node, reverse) => this.evaluateListStatusRemoval(node, reverse)],
         ['containsStrings', (node, reverse) => this.evaluateStringRemoval(node, reverse)],
     ]);
 
     processNode(node) {
-        const { options: { reverseConditions } } = this.config;
-        const linkedResult = this.evaluateLinkedConditions(node);
-
-        const shouldRemoveNode = reverseConditions
-            ? this.evaluateReverseConditions(node, linkedResult)
-            : this.evaluateNormalConditions(node, linkedResult);
+        const verdict = this.evaluateNode(node);
+        this.verdicts.set(node, verdict);
+        this.stats?.record(node, verdict);
 
-        shouldRemoveNode ? node.remove() : this.currentLoadCount++;
-    }
+        this.restoreNode(node);
 
-    evaluateLinkedConditions(node) {
-        const { options: { linkedConditions } } = this.config;
-        this.linkedConditionsFlat = linkedConditions.flat();
+        // Activities restored from the statistics overlay stay visible when the feed is filtered again
+        const hidden = verdict.remove && !this.restored.has(node);
 
-        if (this.linkedConditionsFlat.length === 0) {
-            return this.linked.NONE;
+        if (hidden) {
+            this.hideNode(node, verdict);
+        } else if (!(this.config.options.groupProgress && this.groupProgress(node))) {
+            this.currentLoadCount++;
         }
 
-        const conditions = this.extractLinkedConditions(linkedConditions);
-        const checkResult = conditions.map(c => this.evaluateConditionList(node, c));
-
-        return (checkResult.includes(true) && (!this.config.options.reverseConditions || !checkResult.includes(false)))
-            ? this.linked.TRUE
-            : this.linked.FALSE;
-    }
+        this.currentScanCount++;
 
-    evaluateReverseConditions(node, linkedResult) {
-        const { remove, options: { reverseConditions } } = this.config;
+        if (this.config.options.explain) {
+            node.title = this.formatVerdict(verdict);
+        }
 
-        const checkedConditions = Array.from(this.CONDITIONS_MAP)
-            .filter(([name]) => !this.isConditionInLinked(name) && (remove[name] === true || remove[name].length > 0))
-            .map(([, condition]) => condition(node, reverseConditions));
+        this.events?.emit('activity:evaluated', { node, verdict });
+        hidden ? this.events?.emit('activity:hidden', { node, verdict }) : null;
 
-        return linkedResult !== this.linked.FALSE && !checkedConditions.includes(false)
-            && (linkedResult === this.linked.TRUE || checkedConditions.includes(true));
+        return verdict;
     }
 
-    evaluateNormalConditions(node, linkedResult) {
-        const { remove, options: { reverseConditions } } = this.config;
-
-        return linkedResult === this.linked.TRUE || [...this.CONDITIONS_MAP].some(([name, condition]) =>
-            !this.isConditionInLinked(name) && remove[name] && condition(node, reverseConditions),
-        );
+    evaluateNode(node) {
+        const { options: { reverseConditions, rule: ruleSource } } = this.config;
+        this.matches.delete(node);
+
+        const user = this.evaluateUserRules(node);
+        const rule = ruleSource?.trim() ? this.evaluateRule(node, this.getRule()) : null;
+        const linked = rule === null ? this.evaluateLinkedConditions(node) : { result: this.linked.NONE, groups: [] };
+
+        const { remove: conditionsRemove, conditions } = rule !== null
+            ? { remove: reverseConditions ? !rule : rule, conditions: [] }
+            : reverseConditions
+                ? this.evaluateReverseConditions(node, linked.result)
+                : this.evaluateNormalConditions(node, linked.result);
+
+        const remove = user.match === this.USER_MATCH.ALLOW
+            ? false
+            : user.match !== null || conditionsRemove;
+
+        const conditionReasons = rule !== null ? ['rule'] : [...new Set([
+            ...linked.groups.filter(group => group.matched).flatMap(group => group.conditions),
+            ...conditions.filter(condition => condition.matched).map(condition => condition.name),
+        ])];
+
+        const reasons = !remove ? [] : user.match !== null ? ['users'] : conditionReasons;
+
+        return {
+            remove,
+            action: remove ? this.getHideAction(reasons) : null,
+            reversed: reverseConditions,
+            reasons,
+            user,
+            rule,
+            conditions,
+            linkedGroups: linked.groups,
+            matchedStrings: this.findMatchedStrings(node),
+        };
     }
 
-    evaluateConditionList(node, conditionList) {
-        const { options: { reverseConditions } } = this.config;
+    // Compiled rules, linked conditions and patterns are kept until the setting they were compiled from changes
+    getRule() {
+        const { options: { rule } } = this.config;
+
+        if (this.ruleCache?.source !== rule) {
+            const parser = new RuleParser({
+                conditions: this.getConditionNames(),
+                fields: ['all', ...Object.keys(this.FIELDS)],
+                statuses: this.LIST_STATUSES,
+            });
+            this.ruleCache = { source: rule, ast: parser.parse(rule) };
+        }
 
-        return reverseConditions
-            ? conditionList.some(condition => this.CONDITIONS_MAP.get(condition)(node, reverseConditions))
-            : conditionList.every(condition => this.CONDITIONS_MAP.get(condition)(node, reverseConditions));
+        return this.ruleCache.ast;
     }
 
-    extractLinkedConditions(linkedConditions) {
-        return linkedConditions.every(condition => typeof condition === 'string')
-        && !linkedConditions.some(condition => Array.isArray(condition))
-            ? [linkedConditions]
-            : linkedConditions.map(condition => Array.isArray(condition)
-                ? condition
-                : [condition]);
+    evaluateRule(node, ast) {
+        switch (ast.type) {
+            case 'or':
+                return this.evaluateRule(node, ast.left) || this.evaluateRule(node, ast.right);
+            case 'and':
+                return this.evaluateRule(node, ast.left) && this.evaluateRule(node, ast.right);
+            case 'not':
+                return !this.evaluateRule(node, ast.operand);
+            case 'condition':
+                return Boolean(this.evaluateCondition(ast.name, node, false));
+            default:
+                return Boolean(this.RULE_FUNCTIONS[ast.name](node, ...ast.args));
+        }
     }
 
-    isConditionInLinked(condition) {
-        return this.linkedConditionsFlat.includes(condition);
-    }
+    RULE_FUNCTIONS = {
+        contains: (node, string, field) => this.createPattern(string).test(this.getFieldText(node, field)),
+        matches: (node, regex, flags) => this.createPattern({ regex, flags }).test(node.textContent),
+        author: (node, name) => node.querySelector(selectors.LINK.AUTHOR)?.textContent.trim().toLowerCase() === name.toLowerCase(),
+        status: (node, status) => this.getListStatus(node) === status,
+    };
 
-    evaluateStringRemoval = (node, reversed) => {
-        const { remove: { containsStrings }, options: { caseSensitive } } = this.config;
+    evaluateUserRules(node) {
+        const { users: { allow, block, rules } } = this.config;
+        const name = node.querySelector(selectors.LINK.AUTHOR)?.textContent.trim() ?? null;
+        const isUser = (user) => name !== null && user.toLowerCase() === name.toLowerCase();
 
-        if (containsStrings.flat().length === 0) {
-            return false;
+        if (allow.some(isUser)) {
+            return { name, match: this.USER_MATCH.ALLOW, rules: [] };
         }
 
-        const containsString = (nodeText, strings) => !caseSensitive
-            ? nodeText.toLowerCase().includes(strings.toLowerCase())
-            : nodeText.includes(strings);
-
-        const checkStrings = (strings) => Array.isArray(strings)
-            ? strings.every(str => containsString(node.textContent, str))
-            : containsString(node.textContent, strings);
+        if (block.some(isUser)) {
+            return { name, match: this.USER_MATCH.BLOCK, rules: [] };
+        }
 
-        return reversed
-            ? !containsStrings.some(checkStrings)
-            : containsStrings.some(checkStrings);
-    };
+        const userRules = Object.entries(rules).find(([user]) => isUser(user))?.[1] ?? [];
+        const matchedRules = userRules.filter(rule =>
+            [rule].flat().every(condition => this.evaluateCondition(condition, node, false)));
 
-    evaluateTextRemoval = (node) =>
-        (node.classList.contains(selectors.ACTIVITY.TEXT) || node.classList.contains(selectors.ACTIVITY.MESSAGE))
-        && !(this.evaluateImageRemoval(node) || this.evaluateGifRemoval(node) || this.evaluateVideoRemoval(node));
+        return { name, match: matchedRules.length > 0 ? this.USER_MATCH.RULE : null, rules: matchedRules };
+    }
 
-    evaluateVideoRemoval = (node) => node?.querySelector(selectors.CLASS.VIDEO) || node?.querySelector(selectors.SPAN.YOUTUBE);
+    getVerdict = (node) => this.verdicts.get(node) ?? null;
+
+    formatVerdict({ remove, action, reversed, reasons, user, rule, conditions, linkedGroups, matchedStrings }) {
+        const mark = (matched) => matched ? '\u2713' : '\u2717';
+        const userRules = user.rules.map(rule => [rule].flat().join(' + ')).join(', ');
+
+        return [
+            remove ? `Hidden (${action}): ${reasons.join(', ')}` : 'Kept',
+            user.match ? `User: ${user.name} (${user.match}${userRules ? `: ${userRules}` : ''})` : null,
+            rule !== null ? `Rule: ${mark(rule)}` : null,
+            reversed ? 'Conditions reversed' : null,
+            conditions.length ? `Conditions: ${conditions.map(({ name, matched }) => `${name} ${mark(matched)}`).join(', ')}` : null,
+            linkedGroups.length ? `Linked groups: ${linkedGroups.map(group => `[${group.conditions.join(' + ')}] ${mark(group.matched)}`).join(', ')}` : null,
+            matchedStrings.length ? `Matched strings: ${matchedStrings.map(strings => [strings].flat().map(this.formatPattern).join(' + ')).join(', ')}` : null,
+        ].filter(Boolean).join('\n');
+    }
 
-    evaluateImageRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE) && !node.querySelector(selectors.CLASS.IMAGE).src.includes('.gif');
+    formatPattern = (pattern) => {
+        if (typeof pattern === 'string' || pattern instanceof RegExp) {
+            return String(pattern);
+        }
 
-    evaluateGifRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE)?.src.includes('.gif');
+        const text = pattern.regex !== undefined ? `/${pattern.regex}/${pattern.flags ?? ''}` : pattern.string;
+        return pattern.field && pattern.field !== 'all' ? `${text} (in ${pattern.field})` : text;
+    };
 
-    evaluateUncommentedRemoval = (node) => !node.querySelector(selectors.DIV.REPLIES)?.querySelector(selectors.SPAN.COUNT);
+    hideNode(node, { action, reasons }) {
+        if (action === this.ACTIONS.REMOVE) {
+            node.remove();
+            return;
+        }
 
-    evaluateUnlikedRemoval = (node) => !node.querySelector(selectors.DIV.LIKES)?.querySelector(selectors.SPAN.COUNT);
+        node.dataset.filterAction = action;
+        node.title = `Hidden: ${reasons.join(', ')}`;
 
-    resetLoadCount = () => this.currentLoadCount = 0;
-}
+        if (action === this.ACTIONS.COLLAPSE) {
+            const stub = Object.assign(document.createElement('div'), {
+                className: 'filter-stub',
+                textContent: `Hidden: ${reasons.join(', ')} (click to expand)`,
+                style: 'cursor: pointer; padding: 8px 16px; margin-bottom: 25px; border-radius: 4px; background: rgb(var(--color-foreground)); color: rgb(var(--color-text-light)); font-size: 1.3rem;',
+                onclick: () => this.restoreNode(node),
+            });
 
-class UIHandler {
-    constructor() {
-        this.userPressed = true;
-        this.cancel = null;
-        this.loadMore = null;
+            this.stubs.set(node, stub);
+            node.style.display = 'none';
+            node.before(stub);
+        } else {
+            action === this.ACTIONS.BLUR ? node.style.filter = 'blur(8px)' : node.style.opacity = '0.3';
+            node.addEventListener('click', this.revealOnClick, { capture: true, once: true });
+        }
     }
 
-    assignLoadMore = (button) => {
-        this.loadMore = button;
-        this.loadMore.addEventListener('click', () => {
-            this.userPressed = true;
-            this.triggerScrollEvents();
-            this.displayCancel();
-        });
+    revealOnClick = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.restoreNode(event.currentTarget);
     };
 
-    clickLoadMore = () => this.loadMore?.click() ?? null;
+    restoreNode(node) {
+        node.removeAttribute('title');
 
-    resetState = () => {
-        this.userPressed = false;
-        this.hideCancel();
-    };
+        if (!node.dataset.filterAction) {
+            return;
+        }
 
-    displayCancel = () => {
-        this.cancel ? this.cancel.style.display = 'block' : this.createCancel();
+        this.stubs.get(node)?.remove();
+        this.stubs.delete(node);
+        this.groups.delete(node);
+        this.heads.delete(node);
+        node.removeEventListener('click', this.revealOnClick, { capture: true });
+        node.style.removeProperty('display');
+        node.style.removeProperty('filter');
+        node.style.removeProperty('opacity');
+        delete node.dataset.filterAction;
     }
 
-    hideCancel = () => {
-        if (this.cancel) {
-            this.cancel.style.display = 'none';
+    showNode = ({ node, parent, next }) => {
+        if (!node.isConnected && parent?.isConnected) {
+            parent.insertBefore(node, next?.parentNode === parent ? next : null);
         }
-    };
 
-    triggerScrollEvents = () => {
-        const domEvent = new Event('scroll', { bubbles: true });
-        const intervalId = setInterval(() => this.userPressed
-            ? window.dispatchEvent(domEvent)
-            : clearInterval(intervalId), 100);
+        this.restored.add(node);
+        this.restoreNode(node);
     };
 
-    createCancel = () => {
-        const BUTTON_STYLE = `
-            position: fixed;
-            bottom: 10px;
-            right: 10px;
-            z-index: 9999;
-            line-height: 1.3;
-            background-color: rgb(var(--color-background-blue-dark));
-            color: rgb(var(--color-text-bright));
-            font: 1.6rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
-            -webkit-font-smoothing: antialiased;
-            box-sizing: border-box;
-            --button-color: rgb(var(--color-blue));
-            `;
+    groupProgress(node) {
+        const progress = this.getProgress(node);
+        const previous = progress && this.getPreviousActivity(node);
+        const head = previous && (this.heads.get(previous) ?? previous);
+        const group = head && (this.groups.get(head) ?? { progress: this.getProgress(head), members: [], expanded: false });
 
-        this.cancel = Object.assign(document.createElement('button'), {
-            textContent: 'Cancel',
-            className: 'cancel-button',
-            style: BUTTON_STYLE,
+        if (!group?.progress || ['author', 'media', 'status'].some(key => group.progress[key] !== progress[key])) {
+            return false;
+        }
+
+        group.progress = {
+            ...group.progress,
+            from: Math.min(group.progress.from, progress.from),
+            to: Math.max(group.progress.to, progress.to),
+        };
+        group.members = [...group.members.filter(member => member !== node), node];
+
+        this.groups.set(head, group);
+        this.heads.set(node, head);
+        head.dataset.filterAction ??= 'group';
+        node.dataset.filterAction = 'group';
+        node.style.display = group.expanded ? '' : 'none';
+        this.renderGroupSummary(head, group);
+
+        return true;
+    }
+
+    renderGroupSummary(head, group) {
+        const { progress: { status, from, to, title }, members, expanded } = group;
+
+        const toggle = Object.assign(document.createElement('a'), {
+            textContent: expanded ? 'hide' : `show ${members.length} more`,
+            style: 'cursor: pointer; margin-left: 8px;',
             onclick: () => {
-                this.userPressed = false;
-                this.cancel.style.display = 'none';
+                group.expanded = !group.expanded;
+                group.members.forEach(member => member.style.display = group.expanded ? '' : 'none');
+                this.renderGroupSummary(head, group);
             },
         });
 
-        document.body.appendChild(this.cancel);
-    };
-}
+        const summary = Object.assign(document.createElement('div'), {
+            className: 'filter-group-summary',
+            textContent: `${this.PROGRESS_SUMMARIES[status]} ${from}\u2013${to} of ${title}`,
+            style: 'padding: 8px 16px; margin: -15px 0 25px; border-radius: 4px; background: rgb(var(--color-foreground)); color: rgb(var(--color-text-light)); font-size: 1.3rem;',
+        });
 
-class ConfigValidator {
-    constructor(config) {
-        this.config = config;
-        this.errors = [];
+        summary.appendChild(toggle);
+        this.stubs.get(head)?.remove();
+        this.stubs.set(head, summary);
+        head.after(summary);
     }
 
-    validate() {
-        this.validatePositiveNonZeroInteger('options.targetLoadCount', 'options.targetLoadCount');
-        this.validateLinkedConditions('options.linkedConditions');
-        this.validateStringArrays(['remove.containsStrings', 'options.linkedConditions']);
-        this.validateBooleans(['remove.uncommented', 'remove.unliked', 'remove.text', 'remove.images', 'remove.gifs', 'remove.videos', 'options.caseSensitive', 'options.reverseConditions', 'runOn.home', 'runOn.social', 'runOn.profile', 'runOn.guestHome']);
+    getPreviousActivity(node) {
+        let sibling = node.previousElementSibling;
 
-        if (this.errors.length > 0) {
-            throw new Error(`Script disabled due to configuration errors: ${this.errors.join(', ')}`);
+        while (sibling && !(sibling.matches(selectors.DIV.ACTIVITY) && [undefined, 'group'].includes(sibling.dataset.filterAction))) {
+            sibling = sibling.previousElementSibling;
         }
-    }
 
-    validateBooleans(keys) {
-        keys.forEach(key => {
-            const value = this.getConfigValue(key);
-            typeof value !== 'boolean' ? this.errors.push(`${key} should be a boolean`) : null;
-        });
+        return sibling;
     }
 
-    validatePositiveNonZeroInteger(key, configKey) {
-        const value = this.getConfigValue(configKey);
-        if (!(value > 0 && Number.isInteger(value))) {
-            this.errors.push(`${key} should be a positive non-zero integer`);
-        }
-    }
+    getProgress(node) {
+        const status = this.getListStatus(node);
+        const [, from, to = from] = node.querySelector(selectors.DIV.STATUS)?.textContent.match(/(\d+)(?:\s*-\s*(\d+))?/) ?? [];
+        const title = node.querySelector(selectors.LINK.TITLE);
 
-    validateStringArrays(keys) {
-        for (const key of keys) {
-            const value = this.getConfigValue(key);
-            if (!Array.isArray(value)) {
-                this.errors.push(`${key} should be an array`);
-            } else if (!this.validateArrayContents(value)) {
-                this.errors.push(`${key} should only contain strings`);
-            }
+        if (!(status in this.PROGRESS_SUMMARIES) || !from || !title) {
+            return null;
         }
+
+        return {
+            author: this.getFieldText(node, 'author').trim().toLowerCase(),
+            media: title.getAttribute('href') ?? title.textContent.trim(),
+            title: title.textContent.trim(),
+            status,
+            from: Number(from),
+            to: Number(to),
+        };
     }
 
-    validateArrayContents(arr) {
-        return arr.every(element => {
-            if (Array.isArray(element)) {
-                return this.validateArrayContents(element);
-            }
-            return typeof element === 'string';
-        });
+    PROGRESS_SUMMARIES = {
+        'watched episode': 'Watched episodes',
+        'read chapter': 'Read chapters',
+    };
+
+    getHideAction(reasons) {
+        const { options: { hideAction, conditionActions } } = this.config;
+        const actions = reasons.map(reason => conditionActions[reason] ?? hideAction);
+
+        return Object.values(this.ACTIONS).find(action => actions.includes(action)) ?? hideAction;
     }
 
-    validateLinkedConditions(configKey) {
-        const linkedConditions = this.getConfigValue(configKey).flat();
-        const allowedConditions = ['uncommented', 'unliked', 'text', 'images', 'gifs', 'videos', 'containsStrings'];
+    evaluateLinkedConditions(node) {
+        const { options: { reverseConditions } } = this.config;
+        const linked = this.getLinkedConditions();
 
-        if (linkedConditions.some(condition => !allowedConditions.includes(condition))) {
-            this.errors.push(`${configKey} should only contain the following strings: ${allowedConditions.join(', ')}`);
+        if (linked.flat.length === 0) {
+            return { result: this.linked.NONE, groups: [] };
         }
-    }
 
-    getConfigValue(key) {
-        return key.split('.').reduce((value, k) => value[k], this.config);
-    }
-}
+        const groups = linked.groups
+            .map(conditions => ({ conditions, matched: this.evaluateConditionList(node, conditions) }));
+        const checkResult = groups.map(group => group.matched);
 
-const selectors = {
-    DIV: {
-        BUTTON: 'div.load-more',
-        ACTIVITY: 'div.activity-entry',
-        REPLIES: 'div.action.replies',
-        LIKES: 'div.action.likes',
-    },
-    SPAN: {
-        COUNT: 'span.count',
-        YOUTUBE: 'span.youtube',
-    },
-    ACTIVITY: {
-        TEXT: 'activity-text',
-        MESSAGE: 'activity-message',
-    },
-    CLASS: {
-        IMAGE: 'img',
-        VIDEO: 'video',
-    },
-};
+        const result = (checkResult.includes(true) && (!reverseConditions || !checkResult.includes(false)))
+            ? this.linked.TRUE
+            : this.linked.FALSE;
 
-function main() {
-    try {
-        new ConfigValidator(config).validate();
-    } catch (error) {
-        console.error(error.message);
-        return;
+        return { result, groups };
     }
 
-    const uiHandler = new UIHandler();
-    const activityHandler = new ActivityHandler(config);
-    const mainApp = new MainApp(activityHandler, uiHandler, config);
+    evaluateReverseConditions(node, linkedResult) {
+        const conditions = this.evaluateUnlinkedConditions(node);
+        const checkedConditions = conditions.map(condition => condition.matched);
 
-    mainApp.initializeObserver();
+        const remove = linkedResult !== this.linked.FALSE && !checkedConditions.includes(false)
+            && (linkedResult === this.linked.TRUE || checkedConditions.includes(true));
+
+        return { remove, conditions };
+    }
+
+    evaluateNormalConditions(node, linkedResult) {
+        const conditions = this.evaluateUnlinkedConditions(node);
+        const remove = linkedResult === this.linked.TRUE || conditions.some(condition => condition.matched);
+
+        return { remove, conditions };
+    }
+
+    evaluateUnlinkedConditions(node) {
+        const { options: { reverseConditions } } = this.config;
+
+        return this.getConditionNames()
+            .filter(name => !this.isConditionInLinked(name) && this.isConditionEnabled(name))
+            .map(name => ({ name, matched: Boolean(this.evaluateCondition(name, node, reverseConditions)) }));
+    }
+
+    evaluateConditionList(node, conditionList) {
+        const { options: { reverseConditions } } = this.config;
+
+        return reverseConditions
+            ? conditionList.some(condition => this.evaluateCondition(condition, node, reverseConditions))
+            : conditionList.every(condition => this.evaluateCondition(condition, node, reverseConditions));
+    }
+
+    getConditionNames() {
+        return [...this.CONDITIONS_MAP.keys(), ...ConditionRegistry.getNames()];
+    }
+
+    evaluateCondition(name, node, reverse) {
+        if (this.CONDITIONS_MAP.has(name)) {
+            return this.CONDITIONS_MAP.get(name)(node, reverse);
+        }
+
+        const matched = this.evaluateCustomCondition(name, node);
+        return reverse ? !matched : matched;
+    }
+
+    evaluateCustomCondition(name, node) {
+        try {
+            return Boolean(ConditionRegistry.get(name)?.predicate(node, this.config.remove[name], this.config));
+        } catch (error) {
+            console.error(`Custom condition ${name} failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    getLinkedConditions() {
+        const { options: { linkedConditions } } = this.config;
+
+        if (this.linkedCache?.source !== linkedConditions) {
+            this.linkedCache = {
+                source: linkedConditions,
+                flat: linkedConditions.flat(),
+                groups: this.extractLinkedConditions(linkedConditions),
+            };
+        }
+
+        return this.linkedCache;
+    }
+
+    extractLinkedConditions(linkedConditions) {
+        return linkedConditions.every(condition => typeof condition === 'string')
+        && !linkedConditions.some(condition => Array.isArray(condition))
+            ? [linkedConditions]
+            : linkedConditions.map(condition => Array.isArray(condition)
+                ? condition
+                : [condition]);
+    }
+
+    isConditionInLinked(condition) {
+        return this.getLinkedConditions().flat.includes(condition);
+    }
+
+    isConditionEnabled(condition) {
+        const value = this.config.remove[condition];
+        return typeof value === 'number' ? value > 0 : value === true || value?.length > 0;
+    }
+
+    evaluateStringRemoval = (node, reversed) => {
+        const { remove: { containsStrings } } = this.config;
+
+        if (containsStrings.flat().length === 0) {
+            return false;
+        }
+
+        const containsString = this.findMatchedStrings(node).length > 0;
+        return reversed ? !containsString : containsString;
+    };
+
+    // The matches of the condition pass are reused for the verdict until the node is evaluated again
+    findMatchedStrings = (node) => {
+        const { remove: { containsStrings } } = this.config;
+
+        if (containsStrings.flat().length === 0) {
+            return [];
+        }
+
+        if (!this.matches.has(node)) {
+            const containsString = (pattern) => this.createPattern(pattern).test(this.getFieldText(node, pattern.field));
+
+            const checkStrings = (strings) => Array.isArray(strings)
+                ? strings.every(containsString)
+                : containsString(strings);
+
+            this.matches.set(node, containsStrings.filter(checkStrings));
+        }
+
+        return this.matches.get(node);
+    };
+
+    createPattern = (pattern) => {
+        const { remove: { containsStrings }, options: { caseSensitive, wholeWord } } = this.config;
+        const cache = this.patternCache;
+
+        if (cache?.containsStrings !== containsStrings || cache.caseSensitive !== caseSensitive || cache.wholeWord !== wholeWord) {
+            this.patternCache = { containsStrings, caseSensitive, wholeWord, patterns: new Map(), regexes: new Map() };
+        }
+
+        // Rules pass a new { regex, flags } object on every evaluation, so those are cached by their source and flags
+        const [patterns, key] = pattern.regex !== undefined
+            ? [this.patternCache.regexes, `${pattern.flags ?? ''}/${pattern.regex}`]
+            : [this.patternCache.patterns, pattern];
+
+        if (!patterns.has(key)) {
+            patterns.set(key, this.compilePattern(pattern));
+        }
+
+        return patterns.get(key);
+    };
+
+    compilePattern = (pattern) => {
+        const { options: { caseSensitive, wholeWord } } = this.config;
+
+        // Compiled patterns are reused, so the stateful g and y flags are dropped to keep test() from resuming at lastIndex
+        if (pattern instanceof RegExp) {
+            return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+        }
+
+        if (typeof pattern === 'object' && pattern.regex !== undefined) {
+            return new RegExp(pattern.regex, pattern.flags?.replace(/[gy]/g, '') ?? (caseSensitive ? '' : 'i'));
+        }
+
+        const escaped = (pattern.string ?? pattern).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        const flags = caseSensitive ? 'u' : 'iu';
+
+        return wholeWord
+            ? new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, flags)
+            : new RegExp(escaped, flags);
+    };
+
+    getFieldText = (node, field = 'all') => {
+        if (field === 'all') {
+            return node.textContent;
+        }
+
+        // The first name is the one who posted, the names of reply authors follow it
+        if (field === 'author') {
+            return node.querySelector(selectors.LINK.AUTHOR)?.textContent ?? '';
+        }
+
+        return [...node.querySelectorAll(this.getFieldSelector(node, field))].map(element => element.textContent).join('\n');
+    };
+
+    // Expanded replies render inside their activity, so activities only read their own markdown
+    getFieldSelector = (node, field) => field === 'markdown' && node.matches(selectors.DIV.REPLY)
+        ? selectors.DIV.REPLY_MARKDOWN
+        : this.FIELDS[field];
+
+    FIELDS = {
+        title: selectors.LINK.TITLE,
+        status: selectors.DIV.STATUS,
+        markdown: selectors.DIV.MARKDOWN,
+        author: selectors.LINK.AUTHOR,
+    };
+
+    evaluateListStatusRemoval = (node, reversed) => {
+        const { remove: { listStatuses } } = this.config;
+
+        if (listStatuses.length === 0) {
+            return false;
+        }
+
+        const hasStatus = listStatuses.includes(this.getListStatus(node));
+        return reversed ? !hasStatus : hasStatus;
+    };
+
+    getListStatus = (node) => {
+        const statusText = node.querySelector(selectors.DIV.STATUS)?.textContent.trim().toLowerCase() ?? '';
+        return this.LIST_STATUSES.find(status => statusText.startsWith(status)) ?? null;
+    };
+
+    LIST_STATUSES = ['watched episode', 'read chapter', 'rewatched', 'reread', 'completed', 'plans to watch', 'plans to read', 'dropped', 'paused'];
+
+    evaluateNotCaughtUpRemoval = (node, reversed) => {
+        const { remove: { notCaughtUp } } = this.config;
+
+        if (notCaughtUp.length === 0) {
+            return false;
+        }
+
+        const spoilers = [...node.querySelectorAll(selectors.SPAN.SPOILER)].map(spoiler => spoiler.textContent);
+        const texts = [this.getFieldText(node, 'status'), ...spoilers].map(text => text.toLowerCase());
+        const isAbout = notCaughtUp.some(title => texts.some(text => text.includes(title.toLowerCase())));
+
+        return reversed ? !isAbout : isAbout;
+    };
+
+    evaluateSpoilerRemoval = (node) => node.querySelector(selectors.SPAN.SPOILER) !== null;
+
+    evaluateDuplicateRemoval = (node) => this.duplicates?.isDuplicate(node, this.config.options.duplicateWindow) ?? false;
+
+    evaluateAnimeListRemoval = (node) => node.classList.contains(selectors.ACTIVITY.ANIME_LIST);
+
+    evaluateMangaListRemoval = (node) => node.classList.contains(selectors.ACTIVITY.MANGA_LIST);
+
+    evaluateTextStatusRemoval = (node) => node.classList.contains(selectors.ACTIVITY.TEXT);
+
+    evaluateMessageRemoval = (node) => node.classList.contains(selectors.ACTIVITY.MESSAGE);
+
+    evaluateTextRemoval = (node) =>
+        (node.classList.contains(selectors.ACTIVITY.TEXT) || node.classList.contains(selectors.ACTIVITY.MESSAGE))
+        && !(this.evaluateImageRemoval(node) || this.evaluateGifRemoval(node) || this.evaluateVideoRemoval(node));
+
+    evaluateVideoRemoval = (node) => node?.querySelector(selectors.CLASS.VIDEO) || node?.querySelector(selectors.SPAN.YOUTUBE);
+
+    evaluateImageRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE) && !node.querySelector(selectors.CLASS.IMAGE).src.includes('.gif');
+
+    evaluateGifRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE)?.src.includes('.gif');
+
+    evaluateUncommentedRemoval = (node) => !node.querySelector(selectors.DIV.REPLIES)?.querySelector(selectors.SPAN.COUNT);
+
+    evaluateUnlikedRemoval = (node) => !node.querySelector(selectors.DIV.LIKES)?.querySelector(selectors.SPAN.COUNT);
+
+    evaluateMinLikesRemoval = (node) => this.getCount(node, selectors.DIV.LIKES) < this.config.remove.minLikes;
+
+    evaluateMaxLikesRemoval = (node) => this.config.remove.maxLikes > 0 && this.getCount(node, selectors.DIV.LIKES) > this.config.remove.maxLikes;
+
+    evaluateMinRepliesRemoval = (node) => this.getCount(node, selectors.DIV.REPLIES) < this.config.remove.minReplies;
+
+    evaluateMaxRepliesRemoval = (node) => this.config.remove.maxReplies > 0 && this.getCount(node, selectors.DIV.REPLIES) > this.config.remove.maxReplies;
+
+    getCount = (node, selector) => parseInt(node.querySelector(selector)?.querySelector(selectors.SPAN.COUNT)?.textContent, 10) || 0;
+
+    resetLoadCount = () => {
+        this.currentLoadCount = 0;
+        this.currentScanCount = 0;
+    };
+}
+
+class UIHandler {
+    constructor(events = null) {
+        this.events = events;
+        this.userPressed = true;
+        this.cancel = null;
+        this.notice = null;
+        this.loadMore = null;
+        this.limits = { maxPagesPerClick: 0, maxLoadTime: 0, loadBackoff: 0 };
+        this.progress = { shown: 0, target: 0, scanned: 0 };
+        this.pages = 0;
+        this.emptyPages = 0;
+        this.lastShown = 0;
+        this.startTime = null;
+        this.pendingClick = null;
+        this.scrollInterval = null;
+        this.noticeTimeout = null;
+        this.infiniteScroll = false;
+        this.scrollObserver = null;
+        this.loadMoreVisible = false;
+    }
+
+    MAX_BACKOFF = 5000;
+
+    NOTICE_DURATION = 5000;
+
+    assignLoadMore = (button) => {
+        if (button === this.loadMore) {
+            return;
+        }
+
+        this.loadMore = button;
+        this.loadMore.addEventListener('click', this.handleLoadMoreClick);
+        this.observeLoadMore();
+    };
+
+    // A shared listener is only added once, even when a button is assigned again after a route change
+    handleLoadMoreClick = () => {
+        this.startTime ?? this.startLoading();
+        this.userPressed = true;
+        this.triggerScrollEvents();
+        this.displayCancel();
+    };
+
+    setInfiniteScroll = (enabled) => {
+        this.infiniteScroll = enabled;
+
+        if (enabled) {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            this.observeLoadMore();
+        } else {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            this.disconnectScrollObserver();
+        }
+    };
+
+    observeLoadMore = () => {
+        if (!this.infiniteScroll || !this.loadMore) {
+            return;
+        }
+
+        this.scrollObserver ??= new IntersectionObserver(this.handleIntersection);
+        this.disconnectScrollObserver();
+        this.scrollObserver.observe(this.loadMore);
+    };
+
+    disconnectScrollObserver = () => {
+        this.scrollObserver?.disconnect();
+        this.loadMoreVisible = false;
+    };
+
+    handleIntersection = (entries) => {
+        this.loadMoreVisible = entries[entries.length - 1].isIntersecting;
+
+        if (this.loadMoreVisible) {
+            this.autoLoad();
+        }
+    };
+
+    handleVisibilityChange = () => {
+        if (document.hidden) {
+            this.startTime !== null ? this.resetState() : null;
+        } else if (this.loadMoreVisible) {
+            this.autoLoad();
+        }
+    };
+
+    autoLoad = () => {
+        if (!document.hidden && this.startTime === null) {
+            this.loadMore?.click();
+        }
+    };
+
+    setLimits = ({ maxPagesPerClick, maxLoadTime, loadBackoff }) => {
+        this.limits = { maxPagesPerClick, maxLoadTime, loadBackoff };
+    };
+
+    startLoading = () => {
+        this.startTime = Date.now();
+        this.pages = 0;
+        this.emptyPages = 0;
+        this.lastShown = 0;
+        this.events?.emit('loadmore:start', { limits: { ...this.limits } });
+    };
+
+    clickLoadMore = () => {
+        const stopReason = this.getStopReason();
+
+        if (stopReason) {
+            this.stopLoading(stopReason);
+            return null;
+        }
+
+        const delay = this.getBackoff();
+
+        if (delay === 0) {
+            return this.click();
+        }
+
+        this.pendingClick ??= setTimeout(() => {
+            this.pendingClick = null;
+            this.userPressed ? this.click() : null;
+        }, delay);
+
+        return null;
+    };
+
+    click = () => {
+        if (!this.loadMore) {
+            return null;
+        }
+
+        this.startTime ?? this.startLoading();
+        this.emptyPages = this.progress.shown > this.lastShown ? 0 : this.emptyPages + 1;
+        this.lastShown = this.progress.shown;
+        this.pages++;
+        return this.loadMore.click() ?? null;
+    };
+
+    getBackoff = () => this.limits.loadBackoff > 0 && this.pages > 0
+        ? Math.min(this.limits.loadBackoff * 2 ** Math.max(this.emptyPages - 1, 0), this.MAX_BACKOFF)
+        : 0;
+
+    getStopReason = () => {
+        const { maxPagesPerClick, maxLoadTime } = this.limits;
+
+        if (maxPagesPerClick > 0 && this.pages >= maxPagesPerClick) {
+            return `Stopped loading after ${this.pages} pages`;
+        } else if (maxLoadTime > 0 && this.startTime !== null && Date.now() - this.startTime >= maxLoadTime * 1000) {
+            return `Stopped loading after ${maxLoadTime} seconds`;
+        }
+
+        return null;
+    };
+
+    stopLoading = (reason) => {
+        const { shown, target } = this.progress;
+
+        this.resetState(reason);
+        this.displayNotice(`${reason}, ${shown}/${target} activities shown`);
+    };
+
+    updateProgress = (progress) => {
+        this.progress = progress;
+
+        if (this.cancel) {
+            const { shown, target, scanned } = progress;
+            this.cancel.textContent = `Cancel (${shown}/${target} shown, ${scanned} scanned, page ${this.pages})`;
+        }
+    };
+
+    resetState = (reason = null) => {
+        if (this.startTime !== null) {
+            this.events?.emit('loadmore:stop', { reason, pages: this.pages, ...this.progress });
+        }
+
+        this.userPressed = false;
+        this.startTime = null;
+        clearTimeout(this.pendingClick);
+        this.pendingClick = null;
+        this.hideCancel();
+    };
+
+    resetRoute = () => {
+        this.resetState();
+        this.disconnectScrollObserver();
+        this.userPressed = true;
+        this.loadMore = null;
+    };
+
+    displayCancel = () => {
+        this.cancel ? this.cancel.style.display = 'block' : this.createCancel();
+    }
+
+    hideCancel = () => {
+        if (this.cancel) {
+            this.cancel.style.display = 'none';
+            this.cancel.textContent = 'Cancel';
+        }
+    };
+
+    displayNotice = (message) => {
+        this.notice ?? this.createNotice();
+        this.notice.textContent = message;
+        this.notice.style.display = 'block';
+
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(this.hideNotice, this.NOTICE_DURATION);
+    };
+
+    hideNotice = () => {
+        if (this.notice) {
+            this.notice.style.display = 'none';
+        }
+    };
+
+    triggerScrollEvents = () => {
+        if (this.scrollInterval) {
+            return;
+        }
+
+        const domEvent = new Event('scroll', { bubbles: true });
+        this.scrollInterval = setInterval(() => {
+            const stopReason = this.userPressed ? this.getStopReason() : null;
+
+            if (stopReason) {
+                this.stopLoading(stopReason);
+            } else if (this.userPressed) {
+                window.dispatchEvent(domEvent);
+                return;
+            }
+
+            clearInterval(this.scrollInterval);
+            this.scrollInterval = null;
+        }, 100);
+    };
+
+    createCancel = () => {
+        this.cancel = Object.assign(document.createElement('button'), {
+            textContent: 'Cancel',
+            className: 'cancel-button',
+            style: this.BUTTON_STYLE,
+            onclick: () => this.resetState('Cancelled'),
+        });
+
+        document.body.appendChild(this.cancel);
+    };
+
+    createNotice = () => {
+        this.notice = Object.assign(document.createElement('button'), {
+            className: 'load-limit-notice',
+            title: 'Click to dismiss',
+            style: this.BUTTON_STYLE,
+            onclick: this.hideNotice,
+        });
+
+        document.body.appendChild(this.notice);
+    };
+
+    BUTTON_STYLE = `
+        position: fixed;
+        bottom: 10px;
+        right: 10px;
+        z-index: 9999;
+        line-height: 1.3;
+        background-color: rgb(var(--color-background-blue-dark));
+        color: rgb(var(--color-text-bright));
+        font: 1.6rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+        -webkit-font-smoothing: antialiased;
+        box-sizing: border-box;
+        --button-color: rgb(var(--color-blue));
+        `;
+}
+
+class SettingsPanel {
+    constructor(config, onApply, getFeed = () => null, store = null) {
+        this.config = config;
+        this.onApply = onApply;
+        this.getFeed = getFeed;
+        this.store = store;
+        this.toggle = null;
+        this.switcher = null;
+        this.panel = null;
+        this.error = null;
+        this.transfer = null;
+        this.problems = null;
+    }
+
+    EXPORT_FILE_NAME = 'activity-feed-filter.json';
+
+    createToggle = () => {
+        const TOGGLE_STYLE = `
+            position: fixed;
+            bottom: 10px;
+            left: 10px;
+            z-index: 9999;
+            line-height: 1.3;
+            background-color: rgb(var(--color-background-blue-dark));
+            color: rgb(var(--color-text-bright));
+            font: 1.4rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            box-sizing: border-box;
+            `;
+
+        this.toggle = Object.assign(document.createElement('button'), {
+            textContent: 'Filter settings',
+            className: 'filter-settings-button',
+            style: TOGGLE_STYLE,
+            onclick: () => this.togglePanel(),
+        });
+
+        document.body.appendChild(this.toggle);
+        this.createProfileSwitcher();
+    };
+
+    createProfileSwitcher = () => {
+        const SWITCHER_STYLE = `
+            position: fixed;
+            bottom: 10px;
+            left: 140px;
+            z-index: 9999;
+            line-height: 1.3;
+            background-color: rgb(var(--color-background-blue-dark));
+            color: rgb(var(--color-text-bright));
+            font: 1.4rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            `;
+
+        this.switcher = Object.assign(document.createElement('select'), {
+            className: 'filter-profile-switcher',
+            title: 'Active profile for this feed',
+            style: SWITCHER_STYLE,
+            onfocus: () => this.refreshProfileSwitcher(),
+            onchange: () => this.switchProfile(this.switcher.value),
+        });
+
+        document.body.appendChild(this.switcher);
+        this.refreshProfileSwitcher();
+    };
+
+    refreshProfileSwitcher = () => {
+        const feed = this.getFeed();
+        const names = Object.keys(this.config.profiles.named);
+        const options = ['', ...names].map(name => Object.assign(document.createElement('option'), {
+            value: name,
+            textContent: name || 'Default profile',
+        }));
+
+        this.switcher.replaceChildren(...options);
+        this.switcher.value = this.config.profiles.active[feed] ?? '';
+        this.switcher.disabled = feed === null;
+        this.switcher.style.display = names.length > 0 ? 'block' : 'none';
+    };
+
+    switchProfile = (name) => {
+        const { profiles: { active } } = this.config;
+        const feed = this.getFeed();
+
+        if (feed !== null) {
+            name ? active[feed] = name : delete active[feed];
+            this.onApply(this.config);
+        }
+    };
+
+    displayProblems = (problems) => {
+        const PROBLEMS_STYLE = `
+            position: fixed;
+            bottom: 50px;
+            left: 10px;
+            z-index: 9999;
+            max-width: 360px;
+            padding: 8px 12px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-foreground));
+            color: rgb(var(--color-red));
+            font: 1.3rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            box-shadow: 0 14px 30px rgba(var(--color-shadow-dark), .15);
+            `;
+
+        const format = (value) => value === undefined ? 'nothing' : ConfigStore.serialize(value);
+
+        this.hideProblems();
+        this.problems = Object.assign(document.createElement('div'), {
+            className: 'filter-settings-problems',
+            style: PROBLEMS_STYLE,
+        });
+
+        const list = Object.assign(document.createElement('ul'), { style: 'margin: 4px 0; padding-left: 16px; word-break: break-all;' });
+        list.append(...problems.map(({ message, actual }) => Object.assign(document.createElement('li'), { textContent: `${message} (found ${format(actual)})` })));
+
+        const dismiss = Object.assign(document.createElement('button'), {
+            textContent: 'Dismiss',
+            onclick: () => this.hideProblems(),
+        });
+
+        this.problems.append(Object.assign(document.createElement('div'), { textContent: 'These settings are invalid and were ignored:' }), list, dismiss);
+        document.body.appendChild(this.problems);
+    };
+
+    hideProblems = () => {
+        this.problems?.remove();
+        this.problems = null;
+    };
+
+    togglePanel = () => {
+        this.panel ? this.closePanel() : this.openPanel();
+    };
+
+    openPanel = () => {
+        this.hideProblems();
+        this.panel = this.renderPanel();
+        document.body.appendChild(this.panel);
+    };
+
+    closePanel = () => {
+        this.panel?.remove();
+        this.panel = null;
+        this.error = null;
+        this.transfer = null;
+    };
+
+    renderPanel = () => {
+        const PANEL_STYLE = `
+            position: fixed;
+            bottom: 50px;
+            left: 10px;
+            z-index: 9999;
+            max-height: 80vh;
+            width: 360px;
+            overflow-y: auto;
+            padding: 12px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-foreground));
+            color: rgb(var(--color-text));
+            font: 1.3rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            box-shadow: 0 14px 30px rgba(var(--color-shadow-dark), .15);
+            `;
+
+        const panel = Object.assign(document.createElement('div'), {
+            className: 'filter-settings-panel',
+            style: PANEL_STYLE,
+        });
+
+        Object.keys(this.config).forEach(section => panel.appendChild(this.renderSection(section)));
+
+        this.error = Object.assign(document.createElement('div'), {
+            className: 'filter-settings-error',
+            style: 'color: rgb(var(--color-red)); white-space: pre-wrap;',
+        });
+
+        const apply = Object.assign(document.createElement('button'), {
+            textContent: 'Apply',
+            className: 'filter-settings-apply',
+            onclick: () => this.applySettings(),
+        });
+
+        const close = Object.assign(document.createElement('button'), {
+            textContent: 'Close',
+            className: 'filter-settings-close',
+            onclick: () => this.closePanel(),
+        });
+
+        this.store && panel.appendChild(this.renderTransfer());
+        panel.append(this.error, apply, close);
+        return panel;
+    };
+
+    renderTransfer = () => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.appendChild(Object.assign(document.createElement('legend'), { textContent: 'import / export' }));
+
+        const text = Object.assign(document.createElement('textarea'), {
+            className: 'filter-settings-transfer-text',
+            placeholder: 'Paste exported settings or a part of them, for example {"remove": {"containsStrings": ["spoiler"]}}',
+            rows: 3,
+            style: 'display: block; width: 100%; box-sizing: border-box;',
+            oninput: () => this.resetPreview(),
+        });
+
+        const file = Object.assign(document.createElement('input'), {
+            type: 'file',
+            accept: '.json,application/json',
+            className: 'filter-settings-transfer-file',
+            onchange: () => file.files[0] && this.readImportFile(file.files[0]),
+        });
+
+        const mode = document.createElement('select');
+        mode.className = 'filter-settings-transfer-mode';
+        mode.title = 'Merge adds imported list entries to your own, replace overwrites them';
+        mode.append(...['merge', 'replace'].map(value => Object.assign(document.createElement('option'), { value, textContent: value })));
+        mode.onchange = () => this.transfer.importButton.disabled || this.previewImport();
+
+        const buttons = [
+            ['Export', 'filter-settings-export', () => this.exportSettings()],
+            ['Preview import', 'filter-settings-preview-import', () => this.previewImport()],
+            ['Import', 'filter-settings-import', () => this.importSettings()],
+        ].map(([textContent, className, onclick]) => Object.assign(document.createElement('button'), { textContent, className, onclick }));
+
+        const preview = Object.assign(document.createElement('ul'), {
+            className: 'filter-settings-preview',
+            style: 'margin: 4px 0; padding-left: 16px; word-break: break-all;',
+        });
+
+        this.transfer = { text, mode, preview, importButton: buttons[2] };
+        this.resetPreview();
+
+        fieldset.append(text, file, mode, ...buttons, preview);
+        return fieldset;
+    };
+
+    exportSettings = () => {
+        const exported = this.store.exportConfig(this.config);
+
+        this.transfer.text.value = exported;
+        this.resetPreview();
+        this.downloadExport(exported);
+        return exported;
+    };
+
+    downloadExport = (exported) => {
+        const link = Object.assign(document.createElement('a'), {
+            href: URL.createObjectURL(new Blob([exported], { type: 'application/json' })),
+            download: this.EXPORT_FILE_NAME,
+        });
+
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    readImportFile = (file) => file.text().then((text) => {
+        this.transfer.text.value = text;
+        this.previewImport();
+    });
+
+    getImportCandidate = () => {
+        const imported = this.store.parseImport(this.transfer.text.value);
+        return this.transfer.mode.value === 'merge'
+            ? ConfigStore.merge(this.config, imported, true)
+            : ConfigStore.replace(this.config, imported);
+    };
+
+    previewImport = () => {
+        this.resetPreview();
+
+        try {
+            const changes = ConfigStore.diff(this.config, this.getImportCandidate());
+            const format = (value) => value === undefined ? 'unset' : ConfigStore.serialize(value);
+
+            this.transfer.preview.replaceChildren(...(changes.length > 0
+                ? changes.map(({ path, before, after }) => Object.assign(document.createElement('li'), { textContent: `${path}: ${format(before)} → ${format(after)}` }))
+                : [Object.assign(document.createElement('li'), { textContent: 'No changes' })]));
+            this.transfer.importButton.disabled = false;
+            return changes;
+        } catch (error) {
+            this.error.textContent = error.message;
+            return null;
+        }
+    };
+
+    resetPreview = () => {
+        this.transfer.preview.replaceChildren();
+        this.transfer.importButton.disabled = true;
+        this.error && (this.error.textContent = '');
+    };
+
+    importSettings = () => this.applyConfig(this.getImportCandidate);
+
+    renderSection = (section) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.appendChild(Object.assign(document.createElement('legend'), { textContent: section }));
+
+        Object.entries(this.config[section]).forEach(([key, value]) => {
+            const label = Object.assign(document.createElement('label'), {
+                textContent: key,
+                style: 'display: block; margin: 4px 0;',
+            });
+            label.appendChild(this.createInput(`${section}.${key}`, value));
+            fieldset.appendChild(label);
+        });
+
+        return fieldset;
+    };
+
+    createInput = (path, value) => {
+        let input;
+
+        if (typeof value === 'boolean') {
+            input = Object.assign(document.createElement('input'), { type: 'checkbox', checked: value });
+        } else if (typeof value === 'number') {
+            input = Object.assign(document.createElement('input'), { type: 'number', value: String(value) });
+        } else if (typeof value === 'string') {
+            input = Object.assign(document.createElement('input'), { type: 'text', value });
+        } else {
+            input = Object.assign(document.createElement('textarea'), {
+                value: ConfigStore.serialize(value),
+                rows: 2,
+                style: 'display: block; width: 100%; box-sizing: border-box;',
+            });
+        }
+
+        input.dataset.path = path;
+        return input;
+    };
+
+    readForm = () => {
+        const candidate = JSON.parse(ConfigStore.serialize(this.config));
+
+        this.panel.querySelectorAll('[data-path]').forEach(input => {
+            const [section, key] = input.dataset.path.split('.');
+            candidate[section][key] = this.readInput(input);
+        });
+
+        return candidate;
+    };
+
+    readInput = (input) => {
+        if (input.type === 'checkbox') {
+            return input.checked;
+        }
+
+        if (input.type === 'number') {
+            return Number(input.value);
+        }
+
+        if (input.type === 'text') {
+            return input.value;
+        }
+
+        try {
+            return JSON.parse(input.value);
+        } catch {
+            throw new Error(`${input.dataset.path} is not valid JSON`);
+        }
+    };
+
+    applySettings = () => this.applyConfig(this.readForm);
+
+    applyConfig = (getCandidate) => {
+        try {
+            const candidate = getCandidate();
+            new ConfigValidator(candidate).validate();
+            Object.keys(candidate).forEach(section => Object.assign(this.config[section], candidate[section]));
+        } catch (error) {
+            this.error.textContent = error.message;
+            return false;
+        }
+
+        this.closePanel();
+        this.onApply(this.config);
+        this.switcher && this.refreshProfileSwitcher();
+        return true;
+    };
+}
+
+class StatsOverlay {
+    constructor(stats, config, onRestore) {
+        this.stats = stats;
+        this.config = config;
+        this.onRestore = onRestore;
+        this.overlay = null;
+        this.summary = null;
+        this.details = null;
+    }
+
+    create = () => {
+        const OVERLAY_STYLE = `
+            position: fixed;
+            bottom: 50px;
+            right: 10px;
+            z-index: 9999;
+            max-width: 320px;
+            line-height: 1.3;
+            text-align: right;
+            color: rgb(var(--color-text));
+            font: 1.3rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            `;
+
+        this.summary = Object.assign(document.createElement('button'), {
+            className: 'filter-stats-summary',
+            title: 'Show statistics and hidden activities',
+            style: 'background-color: rgb(var(--color-background-blue-dark)); color: rgb(var(--color-text-bright));',
+            onclick: () => this.toggleDetails(),
+        });
+
+        this.overlay = Object.assign(document.createElement('div'), {
+            className: 'filter-stats',
+            style: OVERLAY_STYLE,
+        });
+
+        this.overlay.appendChild(this.summary);
+        document.body.appendChild(this.overlay);
+        this.stats.onChange = this.update;
+        this.update();
+    };
+
+    update = () => {
+        if (!this.overlay) {
+            return;
+        }
+
+        const { scanned, removed, kept } = this.stats.session;
+        this.overlay.style.display = this.config.options.showStats ? 'block' : 'none';
+        this.summary.textContent = `${scanned} scanned, ${removed} hidden, ${kept} kept`;
+
+        if (this.details) {
+            this.renderDetails();
+        }
+    };
+
+    toggleDetails = () => {
+        this.details ? this.closeDetails() : this.openDetails();
+    };
+
+    openDetails = () => {
+        const DETAILS_STYLE = `
+            max-height: 60vh;
+            overflow-y: auto;
+            margin-bottom: 6px;
+            padding: 12px;
+            border-radius: 4px;
+            text-align: left;
+            background-color: rgb(var(--color-foreground));
+            box-shadow: 0 14px 30px rgba(var(--color-shadow-dark), .15);
+            `;
+
+        this.details = Object.assign(document.createElement('div'), {
+            className: 'filter-stats-details',
+            style: DETAILS_STYLE,
+        });
+
+        this.overlay.prepend(this.details);
+        this.renderDetails();
+    };
+
+    closeDetails = () => {
+        this.details?.remove();
+        this.details = null;
+    };
+
+    renderDetails = () => {
+        const reset = Object.assign(document.createElement('button'), {
+            textContent: 'Reset all-time statistics',
+            className: 'filter-stats-reset',
+            onclick: () => this.stats.resetTotal(),
+        });
+
+        this.details.replaceChildren(
+            this.renderCounters('This session', this.stats.session),
+            this.renderCounters('All time', this.stats.total),
+            this.renderLog(),
+            reset,
+        );
+    };
+
+    renderCounters = (title, { scanned, removed, kept, conditions, linkedGroups }) => {
+        const section = document.createElement('div');
+        const breakdown = Object.entries({ ...conditions, ...linkedGroups })
+            .sort(([, a], [, b]) => b - a)
+            .map(([name, count]) => Object.assign(document.createElement('div'), { textContent: `${name}: ${count}` }));
+
+        section.append(
+            Object.assign(document.createElement('h4'), { textContent: title, style: 'margin: 0 0 4px;' }),
+            Object.assign(document.createElement('div'), { textContent: `Scanned: ${scanned}, hidden: ${removed}, kept: ${kept}` }),
+            ...breakdown,
+        );
+
+        return section;
+    };
+
+    renderLog = () => {
+        const log = Object.assign(document.createElement('div'), { className: 'filter-stats-log' });
+        const heading = Object.assign(document.createElement('h4'), { textContent: 'Hidden activities', style: 'margin: 8px 0 4px;' });
+
+        const entries = this.stats.log.map(entry => {
+            const item = Object.assign(document.createElement('div'), {
+                className: 'filter-stats-entry',
+                textContent: `${entry.author ?? 'Unknown'}: ${entry.snippet} (${entry.reasons.join(', ')}) `,
+                style: 'margin-bottom: 4px;',
+            });
+
+            const restore = Object.assign(document.createElement('button'), {
+                textContent: 'Restore',
+                onclick: () => {
+                    this.onRestore(entry);
+                    this.stats.forget(entry);
+                },
+            });
+
+            entry.link && item.appendChild(Object.assign(document.createElement('a'), { textContent: 'Open ', href: entry.link }));
+            item.appendChild(restore);
+            return item;
+        });
+
+        log.append(heading, ...(entries.length ? entries : [document.createTextNode('Nothing hidden yet')]));
+        return log;
+    };
+}
+
+class RuleParser {
+    constructor({ conditions, fields, statuses }) {
+        this.conditions = conditions;
+        this.fields = fields;
+        this.statuses = statuses;
+        this.tokens = [];
+        this.index = 0;
+    }
+
+    FUNCTIONS = {
+        contains: { parameters: ['string', 'field'], required: 1 },
+        matches: { parameters: ['regex', 'flags'], required: 1 },
+        author: { parameters: ['string'], required: 1 },
+        status: { parameters: ['status'], required: 1 },
+    };
+
+    ALIASES = {
+        liked: 'unliked',
+        commented: 'uncommented',
+    };
+
+    parse = (source) => {
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+
+        const ast = this.parseOr();
+        const token = this.peek();
+
+        if (token.type !== 'end') {
+            throw this.error(`Unexpected '${token.value}'`, token.position);
+        }
+
+        return ast;
+    };
+
+    tokenize = (source) => {
+        const tokens = [];
+        let position = 0;
+
+        while (position < source.length) {
+            const char = source[position];
+            const word = /^[A-Za-z_]\w*/.exec(source.slice(position))?.[0];
+
+            if (/\s/.test(char)) {
+                position++;
+            } else if ('(),'.includes(char)) {
+                tokens.push({ type: char, value: char, position });
+                position++;
+            } else if (char === '"' || char === "'") {
+                const string = this.readString(source, position);
+                tokens.push({ type: 'string', value: string.value, position });
+                position = string.end;
+            } else if (word) {
+                const keyword = ['and', 'or', 'not'].find(keyword => keyword === word.toLowerCase());
+                tokens.push({ type: keyword ?? 'identifier', value: word, position });
+                position += word.length;
+            } else {
+                throw this.error(`Unexpected character '${char}'`, position);
+            }
+        }
+
+        tokens.push({ type: 'end', value: '', position: source.length });
+        return tokens;
+    };
+
+    readString = (source, start) => {
+        const quote = source[start];
+        let value = '';
+
+        for (let position = start + 1; position < source.length; position++) {
+            if (source[position] === quote) {
+                return { value, end: position + 1 };
+            }
+
+            const escaped = source[position] === '\\' && [quote, '\\'].includes(source[position + 1]);
+            value += escaped ? source[++position] : source[position];
+        }
+
+        throw this.error('Unterminated string', start);
+    };
+
+    parseOr = () => {
+        let left = this.parseAnd();
+
+        while (this.peek().type === 'or') {
+            this.index++;
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+
+        return left;
+    };
+
+    parseAnd = () => {
+        let left = this.parseNot();
+
+        while (this.peek().type === 'and') {
+            this.index++;
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+
+        return left;
+    };
+
+    parseNot = () => {
+        if (this.peek().type === 'not') {
+            this.index++;
+            return { type: 'not', operand: this.parseNot() };
+        }
+
+        return this.parsePrimary();
+    };
+
+    parsePrimary = () => {
+        const token = this.tokens[this.index++];
+
+        if (token.type === '(') {
+            const expression = this.parseOr();
+            this.expect(')');
+            return expression;
+        }
+
+        if (token.type === 'identifier') {
+            return this.peek().type === '(' ? this.parseFunction(token) : this.parseCondition(token);
+        }
+
+        throw token.type === 'end'
+            ? this.error('Unexpected end of rule', token.position)
+            : this.error(`Unexpected '${token.value}'`, token.position);
+    };
+
+    parseCondition = ({ value: name, position }) => {
+        if (this.ALIASES[name]) {
+            return { type: 'not', operand: { type: 'condition', name: this.ALIASES[name], position } };
+        }
+
+        if (this.FUNCTIONS[name]) {
+            throw this.error(`'${name}' is a function and needs arguments`, position);
+        }
+
+        if (!this.conditions.includes(name)) {
+            throw this.error(`Unknown condition '${name}'`, position);
+        }
+
+        return { type: 'condition', name, position };
+    };
+
+    parseFunction = ({ value: name, position }) => {
+        const signature = this.FUNCTIONS[name];
+
+        if (!signature) {
+            throw this.conditions.includes(name) || this.ALIASES[name]
+                ? this.error(`'${name}' is a condition and takes no arguments`, position)
+                : this.error(`Unknown function '${name}'`, position);
+        }
+
+        this.expect('(');
+        const args = [];
+
+        while (this.peek().type !== ')') {
+            if (args.length > 0) {
+                this.expect(',');
+            }
+
+            args.push(this.expect('string'));
+        }
+
+        this.expect(')');
+
+        if (args.length < signature.required || args.length > signature.parameters.length) {
+            const count = signature.required === signature.parameters.length
+                ? signature.required
+                : `${signature.required} to ${signature.parameters.length}`;
+            throw this.error(`'${name}' expects ${count} argument${signature.parameters.length > 1 ? 's' : ''}`, position);
+        }
+
+        args.forEach((arg, index) => this.checkArgument(signature.parameters[index], arg, args));
+        return { type: 'function', name, args: args.map(arg => arg.value), position };
+    };
+
+    checkArgument = (parameter, { value, position }, args) => {
+        if (parameter === 'field' && !this.fields.includes(value)) {
+            throw this.error(`Unknown field '${value}', expected one of: ${this.fields.join(', ')}`, position);
+        }
+
+        if (parameter === 'status' && !this.statuses.includes(value)) {
+            throw this.error(`Unknown status '${value}', expected one of: ${this.statuses.join(', ')}`, position);
+        }
+
+        if (parameter === 'regex') {
+            try {
+                new RegExp(value, args[1]?.value);
+            } catch (error) {
+                throw this.error(error.message, position);
+            }
+        }
+    };
+
+    expect = (type) => {
+        const token = this.tokens[this.index];
+
+        if (token.type !== type) {
+            const found = token.type === 'end' ? 'end of rule' : `'${token.value}'`;
+            throw this.error(`Expected ${type === 'string' ? 'a string' : `'${type}'`} but found ${found}`, token.position);
+        }
+
+        this.index++;
+        return token;
+    };
+
+    peek = () => this.tokens[this.index];
+
+    error = (message, position) => Object.assign(new Error(`${message} at column ${position + 1}`), { position });
+}
+
+class ConfigValidator {
+    constructor(config, { defaults = null, graceful = false } = {}) {
+        this.config = config;
+        this.defaults = defaults;
+        this.graceful = graceful;
+        this.errors = [];
+        this.problems = [];
+    }
+
+    validate() {
+        this.validateKnownKeys();
+        this.validatePositiveNonZeroInteger('options.targetLoadCount', 'options.targetLoadCount');
+        this.validatePositiveNonZeroInteger('options.duplicateWindow', 'options.duplicateWindow');
+        this.validateNonNegativeIntegers(['remove.minLikes', 'remove.maxLikes', 'remove.minReplies', 'remove.maxReplies', 'replies.minLikes', 'options.maxPagesPerClick', 'options.maxLoadTime', 'options.loadBackoff']);
+        this.validateLinkedConditions('options.linkedConditions');
+        this.validateHideActions('options.hideAction', 'options.conditionActions');
+        this.validateRule('options.rule');
+        this.validatePatterns('remove.containsStrings');
+        this.validatePatterns('replies.containsStrings');
+        this.validateStringArrays(['remove.listStatuses', 'options.linkedConditions']);
+        this.validateFlatStringArrays(['remove.notCaughtUp', 'users.allow', 'users.block']);
+        this.validateUserRules('users.rules');
+        this.validateUrlPatterns('runOn.custom');
+        this.validateAllowedStrings('remove.listStatuses', this.ALLOWED_LIST_STATUSES);
+        this.validateBooleans(['remove.uncommented', 'remove.unliked', 'remove.text', 'remove.images', 'remove.gifs', 'remove.videos', 'remove.animeList', 'remove.mangaList', 'remove.textStatus', 'remove.messages', 'remove.spoilers', 'remove.duplicates', 'options.caseSensitive', 'options.wholeWord', 'options.reverseConditions', 'options.explain', 'options.showStats', 'options.groupProgress', 'options.infiniteScroll', 'runOn.home', 'runOn.social', 'runOn.profile', 'runOn.ownProfile', 'runOn.guestHome', 'replies.enabled', 'replies.images', 'replies.gifs', 'replies.videos', 'replies.spoilers']);
+        this.validateCustomConditions();
+        this.validateProfiles('profiles.named', 'profiles.active');
+
+        if (this.graceful && this.errors.length > 0) {
+            this.repair();
+            new ConfigValidator(this.config, { defaults: this.defaults }).validate();
+        } else if (this.errors.length > 0) {
+            throw new Error(`Script disabled due to configuration errors: ${this.errors.join(', ')}`);
+        }
+
+        return this.problems;
+    }
+
+    addError(path, message, expected, { actual = this.getConfigValue(path), suggestion = null } = {}) {
+        this.problems.push({ path, message, expected, actual, suggestion });
+
+        if (!this.errors.includes(message)) {
+            this.errors.push(message);
+        }
+    }
+
+    // Resets invalid settings to their defaults and drops invalid list entries and unknown keys
+    repair() {
+        [...new Set(this.problems.map(({ path }) => path))]
+            .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+            .forEach(path => {
+                const keys = path.split('.');
+                const key = keys.pop();
+                const parent = keys.reduce((value, k) => typeof value[k] === 'object' && value[k] !== null ? value[k] : (value[k] = {}), this.config);
+                const defaultValue = this.getConfigValue(path, this.defaults ?? {});
+
+                if (Array.isArray(parent)) {
+                    parent.splice(Number(key), 1);
+                } else if (defaultValue !== undefined) {
+                    parent[key] = structuredClone(defaultValue);
+                } else {
+                    delete parent[key];
+                }
+            });
+    }
+
+    validateKnownKeys() {
+        if (!this.defaults) {
+            return;
+        }
+
+        Object.entries(this.config).forEach(([section, values]) => {
+            if (!(section in this.defaults)) {
+                this.addUnknownKeyError(section, Object.keys(this.defaults));
+            } else if (ConfigStore.isObject(values)) {
+                const knownKeys = Object.keys(this.defaults[section]).map(key => `${section}.${key}`);
+
+                Object.keys(values)
+                    .filter(key => !(key in this.defaults[section]))
+                    .forEach(key => this.addUnknownKeyError(`${section}.${key}`, knownKeys));
+            }
+        });
+    }
+
+    addUnknownKeyError(path, knownPaths) {
+        const suggestion = this.suggest(path, knownPaths);
+        this.addError(path, `${path} is not a known setting${suggestion ? ` (did you mean ${suggestion}?)` : ''}`, 'a known setting', { suggestion });
+    }
+
+    suggest(path, candidates) {
+        const [closest] = candidates
+            .map(candidate => ({ candidate, distance: this.getEditDistance(path.toLowerCase(), candidate.toLowerCase()) }))
+            .sort((a, b) => a.distance - b.distance);
+
+        return closest?.distance <= this.MAX_SUGGESTION_DISTANCE ? closest.candidate : null;
+    }
+
+    getEditDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = row[0];
+            row[0] = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const above = row[j];
+                row[j] = Math.min(above + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+
+        return row[b.length];
+    }
+
+    validateBooleans(keys) {
+        keys.forEach(key => {
+            const value = this.getConfigValue(key);
+            typeof value !== 'boolean' ? this.addError(key, `${key} should be a boolean`, 'boolean') : null;
+        });
+    }
+
+    validatePositiveNonZeroInteger(key, configKey) {
+        const value = this.getConfigValue(configKey);
+        if (!(value > 0 && Number.isInteger(value))) {
+            this.addError(configKey, `${key} should be a positive non-zero integer`, 'positive integer');
+        }
+    }
+
+    validateNonNegativeIntegers(keys) {
+        keys.forEach(key => {
+            const value = this.getConfigValue(key);
+            if (!(value >= 0 && Number.isInteger(value))) {
+                this.addError(key, `${key} should be a non-negative integer`, 'non-negative integer');
+            }
+        });
+    }
+
+    validateStringArrays(keys) {
+        for (const key of keys) {
+            const value = this.getConfigValue(key);
+            if (!Array.isArray(value)) {
+                this.addError(key, `${key} should be an array`, 'array');
+            } else {
+                value.forEach((element, index) => this.validateArrayContents([element])
+                    ? null
+                    : this.addError(`${key}.${index}`, `${key} should only contain strings`, 'string or array of strings'));
+            }
+        }
+    }
+
+    validateFlatStringArrays(keys) {
+        for (const key of keys) {
+            const value = this.getConfigValue(key);
+            if (!Array.isArray(value)) {
+                this.addError(key, `${key} should be an array`, 'array');
+            } else {
+                value.forEach((element, index) => typeof element === 'string'
+                    ? null
+                    : this.addError(`${key}.${index}`, `${key} should only contain strings`, 'string'));
+            }
+        }
+    }
+
+    validateArrayContents(arr) {
+        return arr.every(element => {
+            if (Array.isArray(element)) {
+                return this.validateArrayContents(element);
+            }
+            return typeof element === 'string';
+        });
+    }
+
+    validatePatterns(configKey) {
+        const patterns = this.getConfigValue(configKey);
+
+        if (!Array.isArray(patterns)) {
+            this.addError(configKey, `${configKey} should be an array`, 'array');
+            return;
+        }
+
+        const isPatternObject = (pattern) => typeof pattern === 'object' && pattern !== null && !(pattern instanceof RegExp);
+
+        const isPattern = (pattern) => typeof pattern === 'string' || pattern instanceof RegExp
+            || (isPatternObject(pattern) && (typeof pattern.regex === 'string'
+                ? pattern.flags === undefined || typeof pattern.flags === 'string'
+                : typeof pattern.string === 'string' && pattern.flags === undefined));
+
+        patterns.forEach((entry, index) => {
+            const path = `${configKey}.${index}`;
+            const entryPatterns = [entry].flat();
+
+            if (!entryPatterns.every(isPattern)) {
+                this.addError(path, `${configKey} should only contain strings, regular expressions, { regex, flags } or { string } objects`, 'string, regular expression, { regex, flags } or { string } object');
+                return;
+            }
+
+            if (entryPatterns.some(pattern => isPatternObject(pattern) && pattern.field !== undefined && !this.ALLOWED_FIELDS.includes(pattern.field))) {
+                this.addError(path, `${configKey} fields should be one of the following strings: ${this.ALLOWED_FIELDS.join(', ')}`, `field of ${this.ALLOWED_FIELDS.join(', ')}`);
+            }
+
+            entryPatterns
+                .filter(pattern => isPatternObject(pattern) && pattern.regex !== undefined)
+                .forEach(({ regex, flags }) => {
+                    try {
+                        new RegExp(regex, flags);
+                    } catch (error) {
+                        this.addError(path, `${configKey} contains an invalid regular expression /${regex}/${flags ?? ''}: ${error.message}`, 'valid regular expression');
+                        return;
+                    }
+
+                    if (/[gy]/.test(flags ?? '')) {
+                        this.addError(path, `${configKey} regular expression flags should not include g or y: /${regex}/${flags}`, 'flags without g or y');
+                    }
+                });
+        });
+    }
+
+    validateUrlPatterns(configKey) {
+        const patterns = this.getConfigValue(configKey);
+        const message = `${configKey} should be an array of URL patterns starting with https://anilist.co/`;
+        const isUrlPattern = (pattern) => typeof pattern === 'string' && pattern.startsWith('https://anilist.co/');
+
+        if (!Array.isArray(patterns)) {
+            this.addError(configKey, message, 'array');
+        } else {
+            patterns.forEach((pattern, index) => isUrlPattern(pattern)
+                ? null
+                : this.addError(`${configKey}.${index}`, message, 'URL pattern starting with https://anilist.co/'));
+        }
+    }
+
+    validateLinkedConditions(configKey) {
+        const linkedConditions = this.getConfigValue(configKey);
+
+        if (!Array.isArray(linkedConditions)) {
+            return;
+        }
+
+        const allowedConditions = this.getAllowedConditions();
+
+        linkedConditions.forEach((entry, index) => [entry].flat(Infinity).every(condition => allowedConditions.includes(condition))
+            ? null
+            : this.addError(`${configKey}.${index}`, `${configKey} should only contain the following strings: ${allowedConditions.join(', ')}`, 'condition name'));
+    }
+
+    validateUserRules(configKey) {
+        const rules = this.getConfigValue(configKey);
+
+        if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+            this.addError(configKey, `${configKey} should be an object`, 'object');
+            return;
+        }
+
+        const allowedConditions = this.getAllowedConditions();
+
+        Object.entries(rules)
+            .filter(([, conditions]) => !Array.isArray(conditions) || conditions.flat().some(condition => !allowedConditions.includes(condition)))
+            .forEach(([user]) => this.addError(`${configKey}.${user}`, `${configKey} should map user names to arrays of the following strings: ${allowedConditions.join(', ')}`, 'array of condition names'));
+    }
+
+    validateAllowedStrings(configKey, allowedStrings) {
+        const value = this.getConfigValue(configKey);
+
+        if (Array.isArray(value)) {
+            value.forEach((string, index) => allowedStrings.includes(string)
+                ? null
+                : this.addError(`${configKey}.${index}`, `${configKey} should only contain the following strings: ${allowedStrings.join(', ')}`, `one of ${allowedStrings.join(', ')}`));
+        }
+    }
+
+    validateRule(configKey) {
+        const rule = this.getConfigValue(configKey);
+
+        if (typeof rule !== 'string') {
+            this.addError(configKey, `${configKey} should be a string`, 'string');
+            return;
+        }
+
+        try {
+            if (rule.trim()) {
+                new RuleParser({ conditions: this.getAllowedConditions(), fields: this.ALLOWED_FIELDS, statuses: this.ALLOWED_LIST_STATUSES }).parse(rule);
+            }
+        } catch (error) {
+            this.addError(configKey, `${configKey} is invalid: ${error.message}`, 'rule expression');
+        }
+    }
+
+    validateProfiles(namedKey, activeKey) {
+        const named = this.getConfigValue(namedKey);
+        const active = this.getConfigValue(activeKey);
+        const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+        // Active profiles are checked against the profiles that remain after a repair, so one pass is enough
+        const names = [];
+
+        if (!isObject(named)) {
+            this.addError(namedKey, `${namedKey} should be an object`, 'object');
+        }
+
+        Object.entries(isObject(named) ? named : {}).forEach(([name, profile]) => {
+            const profileKey = `${namedKey}.${name}`;
+
+            if (!isObject(profile) || Object.keys(profile).some(section => !['remove', 'options'].includes(section))) {
+                this.addError(profileKey, `${profileKey} should be an object with remove and/or options`, 'object with remove and/or options');
+                return;
+            }
+
+            names.push(name);
+
+            const profileConfig = {
+                ...this.config,
+                remove: ConfigStore.merge(this.config.remove ?? {}, profile.remove ?? {}),
+                options: ConfigStore.merge(this.config.options ?? {}, profile.options ?? {}),
+                profiles: { named: {}, active: {} },
+            };
+            const validator = new ConfigValidator(profileConfig, { defaults: this.defaults });
+
+            try {
+                validator.validate();
+            } catch {
+                // Only report the settings the profile itself changes, the base settings are reported above
+                validator.problems
+                    .filter(({ path }) => this.getConfigValue(path.split('.').slice(0, 2).join('.'), profile) !== undefined)
+                    .forEach(({ path, message, expected, actual, suggestion }) => this.addError(`${profileKey}.${path}`, `${profileKey}: ${message}`, expected, { actual, suggestion }));
+            }
+        });
+
+        if (!isObject(active)) {
+            this.addError(activeKey, `${activeKey} should be an object`, 'object');
+            return;
+        }
+
+        Object.entries(active)
+            .filter(([feed, name]) => !this.ALLOWED_FEEDS.includes(feed) || !names.includes(name))
+            .forEach(([feed]) => this.addError(`${activeKey}.${feed}`, `${activeKey} should map feeds (${this.ALLOWED_FEEDS.join(', ')}) to names of ${namedKey}`, `name of a profile in ${namedKey}`));
+    }
+
+    validateHideActions(actionKey, conditionActionsKey) {
+        const conditionActions = this.getConfigValue(conditionActionsKey);
+
+        if (!this.ALLOWED_ACTIONS.includes(this.getConfigValue(actionKey))) {
+            this.addError(actionKey, `${actionKey} should be one of the following strings: ${this.ALLOWED_ACTIONS.join(', ')}`, `one of ${this.ALLOWED_ACTIONS.join(', ')}`);
+        }
+
+        const allowedReasons = [...this.getAllowedConditions(), 'users', 'rule'];
+
+        if (typeof conditionActions !== 'object' || conditionActions === null || Array.isArray(conditionActions)) {
+            this.addError(conditionActionsKey, `${conditionActionsKey} should be an object`, 'object');
+            return;
+        }
+
+        Object.entries(conditionActions)
+            .filter(([condition, action]) => !allowedReasons.includes(condition) || !this.ALLOWED_ACTIONS.includes(action))
+            .forEach(([condition]) => this.addError(`${conditionActionsKey}.${condition}`, `${conditionActionsKey} should map conditions (${allowedReasons.join(', ')}) to actions (${this.ALLOWED_ACTIONS.join(', ')})`, `one of ${this.ALLOWED_ACTIONS.join(', ')}`));
+    }
+
+    validateCustomConditions() {
+        ConditionRegistry.getNames().forEach(name => this.validateSchema(`remove.${name}`, ConditionRegistry.get(name).schema));
+    }
+
+    // Supports a small subset of JSON Schema: type, enum, minimum, maximum and items
+    validateSchema(key, schema, value = this.getConfigValue(key)) {
+        const isType = {
+            boolean: (item) => typeof item === 'boolean',
+            integer: (item) => Number.isInteger(item),
+            number: (item) => Number.isFinite(item),
+            string: (item) => typeof item === 'string',
+            array: (item) => Array.isArray(item),
+        };
+
+        if (!isType[schema.type](value)) {
+            this.addError(key, `${key} should be ${['integer', 'array'].includes(schema.type) ? 'an' : 'a'} ${schema.type}`, schema.type, { actual: value });
+        } else if (schema.enum && !schema.enum.includes(value)) {
+            this.addError(key, `${key} should be one of the following: ${schema.enum.join(', ')}`, `one of ${schema.enum.join(', ')}`, { actual: value });
+        } else if (value < schema.minimum || value > schema.maximum) {
+            this.addError(key, `${key} should be between ${schema.minimum ?? '-Infinity'} and ${schema.maximum ?? 'Infinity'}`, `${schema.type} between ${schema.minimum ?? '-Infinity'} and ${schema.maximum ?? 'Infinity'}`, { actual: value });
+        } else if (schema.type === 'array' && schema.items) {
+            value.forEach((item, index) => this.validateSchema(`${key}.${index}`, schema.items, item));
+        }
+    }
+
+    getAllowedConditions() {
+        return [...this.ALLOWED_CONDITIONS, ...ConditionRegistry.getNames()];
+    }
+
+    getConfigValue(key, source = this.config) {
+        return key.split('.').reduce((value, k) => value?.[k], source);
+    }
+
+    MAX_SUGGESTION_DISTANCE = 3;
+
+    ALLOWED_CONDITIONS = ['uncommented', 'unliked', 'minLikes', 'maxLikes', 'minReplies', 'maxReplies', 'text', 'images', 'gifs', 'videos', 'animeList', 'mangaList', 'textStatus', 'messages', 'spoilers', 'notCaughtUp', 'duplicates', 'listStatuses', 'containsStrings'];
+
+    ALLOWED_LIST_STATUSES = ['watched episode', 'read chapter', 'rewatched', 'reread', 'completed', 'plans to watch', 'plans to read', 'dropped', 'paused'];
+
+    ALLOWED_ACTIONS = ['remove', 'collapse', 'blur', 'dim'];
+
+    ALLOWED_FIELDS = ['all', 'title', 'status', 'markdown', 'author'];
+
+    ALLOWED_FEEDS = ['home', 'social', 'profile', 'ownProfile', 'guestHome', 'custom'];
+}
+
+class ConditionRegistry {
+    static conditions = new Map();
+
+    static SCHEMA_TYPES = ['boolean', 'integer', 'number', 'string', 'array'];
+
+    // Names that are taken by the base settings or have a meaning in rule expressions
+    static RESERVED_NAMES = ['users', 'rule', 'and', 'or', 'not', 'liked', 'commented', 'contains', 'matches', 'author', 'status'];
+
+    static register = (name, predicate, schema) => {
+        const validator = new ConfigValidator({});
+
+        if (typeof name !== 'string' || !/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Error('Condition names should start with a letter or underscore and only contain letters, digits and underscores');
+        }
+
+        if (validator.ALLOWED_CONDITIONS.includes(name) || ConditionRegistry.RESERVED_NAMES.includes(name) || ConditionRegistry.conditions.has(name)) {
+            throw new Error(`Condition ${name} is already defined`);
+        }
+
+        if (typeof predicate !== 'function') {
+            throw new Error(`Condition ${name} needs a predicate function`);
+        }
+
+        if (!ConditionRegistry.SCHEMA_TYPES.includes(schema?.type) || (schema.items && !ConditionRegistry.SCHEMA_TYPES.includes(schema.items.type))) {
+            throw new Error(`Condition ${name} needs a schema with a type of ${ConditionRegistry.SCHEMA_TYPES.join(', ')}`);
+        }
+
+        validator.validateSchema(`${name} default`, schema, schema.default);
+
+        if (validator.errors.length > 0) {
+            throw new Error(`Condition ${name} has an invalid default: ${validator.errors.join(', ')}`);
+        }
+
+        ConditionRegistry.conditions.set(name, { predicate, schema });
+    };
+
+    static unregister = (name) => ConditionRegistry.conditions.delete(name);
+
+    static get = (name) => ConditionRegistry.conditions.get(name);
+
+    static getNames = () => [...ConditionRegistry.conditions.keys()];
+}
+
+class UrlMatcher {
+    // '*' matches one path segment, '**' one or more segments and '{name}' the value of params.name
+    static compile = (pattern, params = {}) => {
+        const source = UrlMatcher.normalize(pattern)
+            .split(/(\*\*|\*|\{\w+\})/)
+            .map(part => {
+                if (part === '**') {
+                    return '[^?#]+';
+                } else if (part === '*') {
+                    return '[^/?#]+';
+                } else if (/^\{\w+\}$/.test(part)) {
+                    const value = params[part.slice(1, -1)];
+                    return value ? UrlMatcher.escape(value) : '(?!)';
+                }
+
+                return UrlMatcher.escape(part);
+            })
+            .join('');
+
+        return new RegExp(`^${source}$`, 'i');
+    };
+
+    static matches = (pattern, url, params) => UrlMatcher.compile(pattern, params).test(UrlMatcher.normalize(url));
+
+    static normalize = (url) => url.replace(/[?#].*$/, '').replace(/\/+$/, '');
+
+    static escape = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ConfigStore {
+    constructor(defaults, storage = window.localStorage) {
+        this.defaults = defaults;
+        this.storage = storage;
+    }
+
+    STORAGE_KEY = 'activityFeedFilter.config';
+
+    SCHEMA_VERSION = 2;
+
+    EXPORT_FORMAT = 'activityFeedFilter.config';
+
+    // Each step upgrades a saved config to its version: { version: 2, migrate: (config) => upgradedConfig }
+    MIGRATIONS = [
+        {
+            version: 2,
+            migrate: (config) => config.runOn?.profile === undefined
+                ? config
+                : { ...config, runOn: { ...config.runOn, ownProfile: config.runOn.profile } },
+        },
+    ];
+
+    load = () => {
+        const saved = this.read();
+
+        return saved
+            ? ConfigStore.merge(this.defaults, this.migrate(saved))
+            : ConfigStore.merge(this.defaults, {});
+    };
+
+    save = (config) => {
+        this.storage.setItem(this.STORAGE_KEY, ConfigStore.serialize({ version: this.SCHEMA_VERSION, config }));
+    };
+
+    exportConfig = (config) => ConfigStore.serialize({ format: this.EXPORT_FORMAT, version: this.SCHEMA_VERSION, config }, 2);
+
+    parseImport = (text) => {
+        let imported;
+
+        try {
+            imported = JSON.parse(text);
+        } catch {
+            throw new Error('Imported settings are not valid JSON');
+        }
+
+        if (!ConfigStore.isObject(imported)) {
+            throw new Error('Imported settings should be a JSON object');
+        }
+
+        if ('format' in imported && imported.format !== this.EXPORT_FORMAT) {
+            throw new Error(`Imported settings have an unknown format: ${imported.format}`);
+        }
+
+        if (imported.version > this.SCHEMA_VERSION) {
+            throw new Error(`Imported settings are from a newer version of the script (${imported.version})`);
+        }
+
+        // Anything without the export header is a partial config such as { "remove": { "containsStrings": [...] } }
+        const partial = 'format' in imported ? this.migrate(imported) : imported;
+        const unknown = Object.entries(partial).flatMap(([section, values]) => ConfigStore.isObject(this.defaults[section]) && ConfigStore.isObject(values)
+            ? Object.keys(values).filter(key => !(key in this.defaults[section])).map(key => `${section}.${key}`)
+            : [section]);
+
+        if (unknown.length > 0) {
+            throw new Error(`Imported settings contain unknown keys: ${unknown.join(', ')}`);
+        }
+
+        return partial;
+    };
+
+    static serialize = (value, space) => JSON.stringify(value, (key, item) => item instanceof RegExp
+        ? { regex: item.source, flags: item.flags.replace(/[gy]/g, '') }
+        : item, space);
+
+    read = () => {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEY));
+        } catch {
+            console.error('Saved configuration could not be read, using defaults');
+            return null;
+        }
+    };
+
+    migrate = ({ version = 0, config }) => this.MIGRATIONS
+        .filter(migration => migration.version > version && migration.version <= this.SCHEMA_VERSION)
+        .sort((a, b) => a.version - b.version)
+        .reduce((migrated, migration) => migration.migrate(migrated), config ?? {});
+
+    static merge = (target, source, combineArrays = false) => Object.keys({ ...target, ...source }).reduce((merged, key) => {
+        if (ConfigStore.isObject(target[key]) && ConfigStore.isObject(source[key])) {
+            merged[key] = ConfigStore.merge(target[key], source[key], combineArrays);
+        } else if (combineArrays && Array.isArray(target[key]) && Array.isArray(source[key])) {
+            merged[key] = structuredClone([...target[key], ...source[key]].filter((item, index, items) =>
+                items.findIndex(other => ConfigStore.serialize(other) === ConfigStore.serialize(item)) === index));
+        } else {
+            merged[key] = structuredClone(key in source ? source[key] : target[key]);
+        }
+
+        return merged;
+    }, {});
+
+    // Overwrites every setting the source contains, including object-valued ones such as users.rules
+    static replace = (target, source) => Object.keys({ ...target, ...source }).reduce((replaced, section) => {
+        replaced[section] = ConfigStore.isObject(target[section]) && ConfigStore.isObject(source[section])
+            ? structuredClone({ ...target[section], ...source[section] })
+            : structuredClone(section in source ? source[section] : target[section]);
+
+        return replaced;
+    }, {});
+
+    static diff = (before, after, path = '') => Object.keys({ ...before, ...after }).flatMap((key) => {
+        const keyPath = path ? `${path}.${key}` : key;
+
+        if (ConfigStore.isObject(before?.[key]) && ConfigStore.isObject(after?.[key])) {
+            return ConfigStore.diff(before[key], after[key], keyPath);
+        }
+
+        return ConfigStore.serialize(before?.[key]) === ConfigStore.serialize(after?.[key])
+            ? []
+            : [{ path: keyPath, before: before?.[key], after: after?.[key] }];
+    });
+
+    static isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on = (event, listener) => {
+        this.listeners.set(event, [...(this.listeners.get(event) ?? []), listener]);
+        return () => this.off(event, listener);
+    };
+
+    off = (event, listener) => {
+        this.listeners.set(event, (this.listeners.get(event) ?? []).filter(other => other !== listener));
+    };
+
+    emit = (event, detail) => {
+        (this.listeners.get(event) ?? []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Listener for ${event} failed: ${error.message}`);
+            }
+        });
+    };
+}
+
+class StatsTracker {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.onChange = () => {};
+        this.session = this.createCounters();
+        this.total = { ...this.createCounters(), ...this.read() };
+        this.log = [];
+        this.counted = new WeakSet();
+        this.pendingSave = null;
+    }
+
+    STORAGE_KEY = 'activityFeedFilter.stats';
+
+    SAVE_DELAY = 1000;
+
+    LOG_LIMIT = 50;
+
+    SNIPPET_LENGTH = 80;
+
+    createCounters = () => ({ scanned: 0, removed: 0, kept: 0, conditions: {}, linkedGroups: {} });
+
+    record = (node, verdict) => {
+        if (this.counted.has(node)) {
+            return;
+        }
+
+        this.counted.add(node);
+        [this.session, this.total].forEach(counters => this.count(counters, verdict));
+
+        if (verdict.remove) {
+            this.addLogEntry(node, verdict);
+        }
+
+        this.scheduleSave();
+        this.onChange();
+    };
+
+    count = (counters, { remove, reasons, linkedGroups }) => {
+        const increment = (map, key) => map[key] = (map[key] ?? 0) + 1;
+
+        counters.scanned++;
+
+        if (!remove) {
+            counters.kept++;
+            return;
+        }
+
+        counters.removed++;
+        reasons.forEach(reason => increment(counters.conditions, reason));
+        linkedGroups
+            .filter(group => group.matched)
+            .forEach(group => increment(counters.linkedGroups, `[${group.conditions.join(' + ')}]`));
+    };
+
+    addLogEntry = (node, { reasons }) => {
+        const text = (node.querySelector(selectors.DIV.STATUS) ?? node.querySelector(selectors.DIV.MARKDOWN) ?? node).textContent;
+
+        const entry = {
+            node,
+            parent: node.parentNode,
+            next: node.nextSibling,
+            author: node.querySelector(selectors.LINK.AUTHOR)?.textContent.trim() ?? null,
+            snippet: text.replace(/\s+/g, ' ').trim().slice(0, this.SNIPPET_LENGTH),
+            reasons,
+            link: node.querySelector(selectors.LINK.ACTIVITY)?.href ?? null,
+        };
+
+        this.log = [entry, ...this.log].slice(0, this.LOG_LIMIT);
+    };
+
+    forget = (entry) => {
+        this.log = this.log.filter(logged => logged !== entry);
+        this.onChange();
+    };
+
+    resetTotal = () => {
+        this.total = this.createCounters();
+        this.save();
+        this.onChange();
+    };
+
+    // Every scanned activity changes the totals, so they are written at most once per SAVE_DELAY
+    scheduleSave = () => {
+        this.pendingSave ??= setTimeout(() => {
+            this.pendingSave = null;
+            this.save();
+        }, this.SAVE_DELAY);
+    };
+
+    save = () => {
+        try {
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.total));
+        } catch {
+            console.error('Statistics could not be saved');
+        }
+    };
+
+    read = () => {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEY));
+        } catch {
+            console.error('Saved statistics could not be read, starting over');
+            return null;
+        }
+    };
+}
+
+class DuplicateTracker {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.fingerprints = this.read() ?? {};
+        this.results = new WeakMap();
+        this.localIds = 0;
+        this.since = 0;
+        this.pendingSave = null;
+    }
+
+    STORAGE_KEY = 'activityFeedFilter.fingerprints';
+
+    SAVE_DELAY = 1000;
+
+    MAX_FINGERPRINTS = 1000;
+
+    MIN_TEXT_LENGTH = 10;
+
+    isDuplicate = (node, windowHours) => {
+        if (this.results.has(node)) {
+            return this.results.get(node);
+        }
+
+        const now = Date.now();
+        const id = node.querySelector(selectors.LINK.ACTIVITY)?.getAttribute('href') ?? `local:${this.localIds++}`;
+        const fingerprints = this.getFingerprints(node);
+        const isRecent = (fingerprint) => this.fingerprints[fingerprint]?.time >= this.since;
+
+        this.since = now - windowHours * 60 * 60 * 1000;
+        const duplicate = fingerprints.some(fingerprint => isRecent(fingerprint) && this.fingerprints[fingerprint].id !== id);
+
+        fingerprints
+            .filter(fingerprint => !isRecent(fingerprint))
+            .forEach(fingerprint => this.fingerprints[fingerprint] = { id, time: now });
+
+        this.results.set(node, duplicate);
+        this.scheduleSave();
+        return duplicate;
+    };
+
+    getFingerprints = (node) => {
+        const markdown = node.querySelector(selectors.DIV.MARKDOWN);
+
+        if (!markdown) {
+            return [];
+        }
+
+        const text = markdown.textContent.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        const media = [...markdown.querySelectorAll('img[src], video[src], source[src]')].map(element => element.getAttribute('src'));
+        const links = [...markdown.querySelectorAll('a[href]')].map(element => element.getAttribute('href')).filter(this.isExternalLink);
+        const sources = [...media, ...links].map(source => `source:${source}`);
+        const videos = [...markdown.querySelectorAll(selectors.SPAN.YOUTUBE)]
+            .map(element => `youtube:${element.id || element.textContent.trim()}`);
+
+        return [...new Set([
+            ...(text.length >= this.MIN_TEXT_LENGTH ? [`text:${this.hash(text)}`] : []),
+            ...sources,
+            ...videos,
+        ])];
+    };
+
+    // Mentions and media links point to AniList itself and are shared by unrelated posts
+    isExternalLink = (href) => {
+        try {
+            const { protocol, hostname } = new URL(href, 'https://anilist.co/');
+            return ['http:', 'https:'].includes(protocol) && !/(^|\.)anilist\.co$/.test(hostname);
+        } catch {
+            return false;
+        }
+    };
+
+    // Texts are stored as a 53-bit hash (cyrb53) to keep the saved fingerprints small
+    hash = (text) => {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    };
+
+    prune = (since) => {
+        const entries = Object.entries(this.fingerprints)
+            .filter(([, { time }]) => time >= since)
+            .sort(([, a], [, b]) => b.time - a.time)
+            .slice(0, this.MAX_FINGERPRINTS);
+
+        this.fingerprints = Object.fromEntries(entries);
+    };
+
+    // Expired fingerprints are skipped when checking, pruning and saving happen at most once per SAVE_DELAY
+    scheduleSave = () => {
+        this.pendingSave ??= setTimeout(() => {
+            this.pendingSave = null;
+            this.save();
+        }, this.SAVE_DELAY);
+    };
+
+    save = () => {
+        this.prune(this.since);
+
+        try {
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.fingerprints));
+        } catch {
+            console.error('Duplicate fingerprints could not be saved');
+        }
+    };
+
+    read = () => {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEY));
+        } catch {
+            console.error('Saved duplicate fingerprints could not be read, starting over');
+            return null;
+        }
+    };
+}
+
+const selectors = {
+    DIV: {
+        BUTTON: 'div.load-more',
+        FEED: 'div.activity-feed-wrap',
+        ACTIVITY: 'div.activity-entry',
+        REPLY: 'div.activity-reply',
+        REPLIES: 'div.action.replies',
+        LIKES: 'div.action.likes',
+        STATUS: 'div.status',
+        MARKDOWN: 'div.activity-markdown',
+        REPLY_MARKDOWN: 'div.reply-markdown',
+    },
+    SPAN: {
+        COUNT: 'span.count',
+        YOUTUBE: 'span.youtube',
+        SPOILER: 'span.markdown_spoiler',
+    },
+    ACTIVITY: {
+        TEXT: 'activity-text',
+        MESSAGE: 'activity-message',
+        ANIME_LIST: 'activity-anime_list',
+        MANGA_LIST: 'activity-manga_list',
+    },
+    LINK: {
+        AUTHOR: 'a.name',
+        TITLE: 'a.title',
+        PROFILE: 'div.nav a.link[href^="/user/"]',
+        ACTIVITY: 'div.time a',
+    },
+    CLASS: {
+        IMAGE: 'img',
+        VIDEO: 'video',
+    },
+};
+
+function main() {
+    const configStore = new ConfigStore(config);
+    const loadConfig = () => {
+        const loaded = configStore.load();
+        return { loaded, problems: new ConfigValidator(loaded, { defaults: config, graceful: true }).validate() };
+    };
+
+    let userConfig;
+    let problems;
+
+    try {
+        ({ loaded: userConfig, problems } = loadConfig());
+    } catch (error) {
+        console.error(error.message);
+        return;
+    }
+
+    const events = new EventBus();
+    const uiHandler = new UIHandler(events);
+    const stats = new StatsTracker();
+    const activityHandler = new ActivityHandler(userConfig, stats, new DuplicateTracker(), events);
+    const replyHandler = new ActivityHandler(ActivityHandler.createReplyConfig(userConfig));
+    const mainApp = new MainApp(activityHandler, uiHandler, userConfig, replyHandler);
+
+    const statsOverlay = new StatsOverlay(stats, userConfig, activityHandler.showNode);
+
+    const getConfig = () => structuredClone(userConfig);
+
+    const replaceConfig = (source) => Object.keys(source).forEach(section => {
+        Object.keys(userConfig[section]).forEach(key => delete userConfig[section][key]);
+        Object.assign(userConfig[section], source[section]);
+    });
+
+    const refresh = () => {
+        mainApp.refilter();
+        statsOverlay.update();
+        events.emit('config:changed', { config: getConfig() });
+    };
+
+    const applyConfig = (appliedConfig) => {
+        configStore.save(appliedConfig);
+        refresh();
+    };
+
+    const settingsPanel = new SettingsPanel(userConfig, applyConfig, mainApp.getCurrentFeed, configStore);
+
+    mainApp.initializeObserver();
+    settingsPanel.createToggle();
+    statsOverlay.create();
+    problems.length > 0 && settingsPanel.displayProblems(problems);
+    window.addEventListener(mainApp.NAVIGATION_EVENT, settingsPanel.refreshProfileSwitcher);
+
+    const registerCondition = (name, predicate, schema) => {
+        ConditionRegistry.register(name, predicate, schema);
+        config.remove[name] = structuredClone(schema.default);
+
+        // Saved settings that use the condition were dropped as unknown while it was not registered yet
+        const { loaded, problems: loadProblems } = loadConfig();
+        replaceConfig(loaded);
+
+        loadProblems.length > 0 ? settingsPanel.displayProblems(loadProblems) : settingsPanel.hideProblems();
+        refresh();
+    };
+
+    const setConfig = (changes) => {
+        const candidate = ConfigStore.merge(userConfig, changes);
+        new ConfigValidator(candidate, { defaults: config }).validate();
+
+        replaceConfig(candidate);
+        settingsPanel.refreshProfileSwitcher();
+        applyConfig(userConfig);
+    };
+
+    window.AnilistFeedFilter = {
+        registerCondition,
+        on: events.on,
+        off: events.off,
+        pause: mainApp.pause,
+        resume: mainApp.resume,
+        rerun: mainApp.refilter,
+        isPaused: () => mainApp.paused,
+        getConfig,
+        setConfig,
+    };
+    window.dispatchEvent(new CustomEvent(mainApp.READY_EVENT, { detail: window.AnilistFeedFilter }));
 }
 
 if (require.main === module) {
     main();
 }
 
-module.exports = { MainApp, ActivityHandler, UIHandler, ConfigValidator, SELECTORS: selectors };
+module.exports = { main, MainApp, ActivityHandler, UIHandler, SettingsPanel, StatsOverlay, RuleParser, ConfigValidator, ConfigStore, StatsTracker, DuplicateTracker, ConditionRegistry, EventBus, UrlMatcher, SELECTORS: selectors };
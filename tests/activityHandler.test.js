@@ -2,9 +2,10 @@ const fs = require('fs');
 const jsdom = require('jsdom');
 const path = require('path');
 const { expect } = require('chai');
-const { ActivityHandler } = require('../src/activityFeedFilter.user');
+const { ActivityHandler, DuplicateTracker, ConditionRegistry, EventBus } = require('../src/activityFeedFilter.user');
 const { restore, spy } = require("sinon");
 const merge = require('lodash.merge');
+const { createStorage } = require('./helpers/storage');
 
 const TEST_DATA_PATH = './tests/data/';
 const UNLIKED = `${TEST_DATA_PATH}activity-unliked.html`;
@@ -20,6 +21,13 @@ const CONTAINS_STRINGS = `${TEST_DATA_PATH}activity-containsStrings.html`
 const IMAGES_UNLIKED = `${TEST_DATA_PATH}activity-imagesUnliked.html`;
 const VIDEOS_UNCOMMENTED = `${TEST_DATA_PATH}activity-videosUncommented.html`;
 const GIF = `${TEST_DATA_PATH}activity-gif.html`;
+const MANGA_LIST = `${TEST_DATA_PATH}activity-mangaList.html`;
+const PLANS_TO_WATCH = `${TEST_DATA_PATH}activity-plansToWatch.html`;
+const USER = `${TEST_DATA_PATH}activity-user.html`;
+const POPULAR = `${TEST_DATA_PATH}activity-popular.html`;
+const REPLIES = `${TEST_DATA_PATH}activity-replies.html`;
+const SPOILER = `${TEST_DATA_PATH}activity-spoiler.html`;
+const PROGRESS_FEED = `${TEST_DATA_PATH}activity-progressFeed.html`;
 
 describe('ActivityHandler', () => {
     let activityHandler;
@@ -27,9 +35,11 @@ describe('ActivityHandler', () => {
     beforeEach(function() {
         const config = {
             remove:
-                { uncommented: false, unliked: false, text: false, images: false, gifs: false, videos: false, containsStrings: [] },
+                { uncommented: false, unliked: false, minLikes: 0, maxLikes: 0, minReplies: 0, maxReplies: 0, text: false, images: false, gifs: false, videos: false, animeList: false, mangaList: false, textStatus: false, messages: false, spoilers: false, notCaughtUp: [], duplicates: false, listStatuses: [], containsStrings: [] },
             options:
-                { targetLoadCount: 2, caseSensitive: false, linkedConditions: [], reversedConditions: false },
+                { targetLoadCount: 2, duplicateWindow: 6, caseSensitive: false, linkedConditions: [], reversedConditions: false, hideAction: 'remove', conditionActions: {}, explain: false, showStats: false, groupProgress: false, wholeWord: false, rule: '' },
+            users:
+                { allow: [], block: [], rules: {} },
         };
 
         activityHandler = new ActivityHandler(config);
@@ -118,6 +128,25 @@ describe('ActivityHandler', () => {
         { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { uncommented: true } }, expectedRemove: false },
         { htmlPath: IMAGES_UNLIKED, configOptions: { remove: { uncommented: true } }, expectedRemove: false },
 
+        // Tests for like and reply thresholds
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 5 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 12 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 13 } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { minLikes: 5 } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { minLikes: 1 } }, expectedRemove: true },
+        { htmlPath: POPULAR, configOptions: { remove: { maxLikes: 10 } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { maxLikes: 10 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minReplies: 2 } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { remove: { minReplies: 2 } }, expectedRemove: true },
+        { htmlPath: UNCOMMENTED, configOptions: { remove: { minReplies: 1 } }, expectedRemove: true },
+        { htmlPath: POPULAR, configOptions: { remove: { maxReplies: 2 } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { maxReplies: 2 } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { remove: { minLikes: 5, minReplies: 2 } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { options: { linkedConditions: [['images', 'minLikes']] }, remove: { minLikes: 5 } }, expectedRemove: true },
+        { htmlPath: POPULAR, configOptions: { options: { linkedConditions: [['images', 'minLikes']] }, remove: { minLikes: 5 } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { options: { linkedConditions: [['images', 'minLikes']] }, remove: { minLikes: 5 } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { linkedConditions: [['images', 'maxLikes']] } }, expectedRemove: false },
+
         // Tests for text
         { htmlPath: UNLIKED, configOptions: { remove: { text: true } }, expectedRemove: false },
         { htmlPath: UNCOMMENTED, configOptions: { remove: { text: true } }, expectedRemove: false },
@@ -154,6 +183,56 @@ describe('ActivityHandler', () => {
         { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { videos: true } }, expectedRemove: false },
         { htmlPath: IMAGES_UNLIKED, configOptions: { remove: { videos: true } }, expectedRemove: false },
 
+        // Tests for activity types
+        { htmlPath: UNLIKED, configOptions: { remove: { animeList: true } }, expectedRemove: true },
+        { htmlPath: MANGA_LIST, configOptions: { remove: { animeList: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { animeList: true } }, expectedRemove: false },
+        { htmlPath: MANGA_LIST, configOptions: { remove: { mangaList: true } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { mangaList: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { textStatus: true } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { textStatus: true } }, expectedRemove: true },
+        { htmlPath: MESSAGE, configOptions: { remove: { textStatus: true } }, expectedRemove: false },
+        { htmlPath: MESSAGE, configOptions: { remove: { messages: true } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { messages: true } }, expectedRemove: false },
+
+        // Tests for listStatuses
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { listStatuses: ['plans to watch'] } }, expectedRemove: true },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { listStatuses: ['dropped', 'plans to watch'] } }, expectedRemove: true },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { listStatuses: ['plans to read'] } }, expectedRemove: false },
+        { htmlPath: MANGA_LIST, configOptions: { remove: { listStatuses: ['plans to read'] } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { listStatuses: ['plans to watch'] } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { listStatuses: ['plans to watch'] } }, expectedRemove: false },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { listStatuses: [] } }, expectedRemove: false },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { options: { linkedConditions: [['listStatuses', 'unliked']] }, remove: { listStatuses: ['plans to watch'] } }, expectedRemove: true },
+
+        // Tests for spoilers
+        { htmlPath: SPOILER, configOptions: { remove: { spoilers: true } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { spoilers: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { spoilers: true }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: SPOILER, configOptions: { options: { linkedConditions: [['spoilers', 'textStatus']] }, remove: { spoilers: true, textStatus: true } }, expectedRemove: true },
+
+        // Tests for notCaughtUp
+        { htmlPath: SPOILER, configOptions: { remove: { notCaughtUp: ['frieren'] } }, expectedRemove: true },
+        { htmlPath: SPOILER, configOptions: { remove: { notCaughtUp: ['Watcher'] } }, expectedRemove: false },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { notCaughtUp: ['Title'] } }, expectedRemove: true },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { notCaughtUp: ['Frieren'] } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { notCaughtUp: ['text'] } }, expectedRemove: false },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { notCaughtUp: ['Frieren'] }, options: { reverseConditions: true } }, expectedRemove: true },
+
+        // Tests for users
+        { htmlPath: USER, configOptions: { users: { block: ['Friend'] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { users: { block: ['friend'] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { users: { block: ['Stranger'] } }, expectedRemove: false },
+        { htmlPath: UNLIKED, configOptions: { users: { block: ['Friend'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { unliked: true }, users: { allow: ['Friend'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { users: { allow: ['Friend'], block: ['Friend'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { animeList: true }, users: { allow: ['Stranger'] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { users: { rules: { Friend: ['mangaList', 'animeList'] } } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { users: { rules: { Friend: [['animeList', 'images']] } } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { users: { rules: { Stranger: ['animeList'] } } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { users: { rules: { Friend: ['animeList'] } }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { animeList: true }, users: { allow: ['Friend'] }, options: { reverseConditions: true } }, expectedRemove: false },
+
         // Tests for containsStrings
         { htmlPath: UNLIKED, configOptions: { remove: { containsStrings: [STRING_1] } }, expectedRemove: false },
         { htmlPath: UNCOMMENTED, configOptions: { remove: { containsStrings: [STRING_1] } }, expectedRemove: false },
@@ -177,6 +256,35 @@ describe('ActivityHandler', () => {
         { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [[STRING_1, STRING_2]] } }, expectedRemove: true },
         { htmlPath: IMAGES_UNLIKED, configOptions: { remove: { containsStrings: [STRING_1] } }, expectedRemove: false },
 
+        // Tests for containsStrings with regular expressions and whole words
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [{ regex: 'string\\d' }] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [{ regex: 'string\\d', flags: '' }] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [{ regex: 'String[12]', flags: '' }] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [/String[12]/] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [/string[12]/] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_2, configOptions: { remove: { containsStrings: [/^\s*String1/] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [[/String1/, STRING_2]] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [[/String1/, STRING_2]] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: ['1.title'] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: ['string'] }, options: { wholeWord: true } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [STRING_1] }, options: { wholeWord: true } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [STRING_2] }, options: { wholeWord: true } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [STRING_1] }, options: { wholeWord: true, caseSensitive: true } }, expectedRemove: false },
+
+        // Tests for containsStrings scoped to fields
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'friend', field: 'author' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'friend', field: 'title' }] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'title', field: 'title' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'plans to watch', field: 'status' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'friend', field: 'all' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ string: 'friend' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ regex: '^title$', field: 'title' }] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [{ regex: '^title$', field: 'status' }] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [[{ string: 'title', field: 'title' }, { string: 'friend', field: 'author' }]] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { containsStrings: [[{ string: 'title', field: 'title' }, { string: 'friend', field: 'markdown' }]] } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { containsStrings: [{ string: 'text', field: 'markdown' }] } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { containsStrings: [{ string: 'status', field: 'markdown' }] } }, expectedRemove: false },
+
         // Tests for linkedConditions
         { htmlPath: UNLIKED, configOptions: { options: { linkedConditions: [[]] } }, expectedRemove: false },
         { htmlPath: UNLIKED, configOptions: { options: { linkedConditions: [['images', 'unliked']] } }, expectedRemove: false },
@@ -200,6 +308,25 @@ describe('ActivityHandler', () => {
         { htmlPath: VIDEOS, configOptions: { options: { linkedConditions: [['images', 'unliked'], 'videos'] } }, expectedRemove: true },
         { htmlPath: IMAGES, configOptions: { options: { linkedConditions: [['images', 'unliked'], 'videos'] } }, expectedRemove: false },
 
+        // Tests for rule expressions
+        { htmlPath: IMAGES_UNLIKED, configOptions: { options: { rule: 'images and not liked' } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { options: { rule: 'images and not liked' } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { rule: '(images and not liked) or (text and contains("text"))' } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { options: { rule: '(images and not liked) or (text and contains("text"))' } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { options: { rule: 'not (images or videos)' } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { images: true }, options: { rule: 'videos' } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { rule: 'images', linkedConditions: [['images', 'unliked']] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { options: { rule: 'author("friend") and status("plans to watch")' } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { options: { rule: 'author("stranger") or status("completed")' } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { options: { rule: 'contains("friend", "title")' } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { options: { rule: 'contains("title", "title")' } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { options: { rule: 'matches("string\\d")' } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { options: { rule: 'matches("string\\d", "")' } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 20 }, options: { rule: 'images and minLikes' } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [STRING_2] }, options: { rule: 'containsStrings and commented' } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { options: { rule: 'animeList' }, users: { allow: ['Friend'] } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { rule: '   ' } }, expectedRemove: false },
+
         // Reversed conditions
         // Tests for reversed uncommented
         { htmlPath: UNLIKED, configOptions: { remove: { uncommented: true }, options: { reverseConditions: true } }, expectedRemove: true },
@@ -265,6 +392,15 @@ describe('ActivityHandler', () => {
         { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [STRING_1] }, options: { reverseConditions: true } }, expectedRemove: false },
         { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [[STRING_1, STRING_2]] }, options: { reverseConditions: true } }, expectedRemove: false },
         { htmlPath: IMAGES_UNLIKED, configOptions: { remove: { containsStrings: [STRING_1] }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [/String\d/] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: ['string'] }, options: { wholeWord: true, reverseConditions: true } }, expectedRemove: true },
+
+        // Tests for reversed activity types and listStatuses
+        { htmlPath: UNLIKED, configOptions: { remove: { animeList: true }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { animeList: true }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: MESSAGE, configOptions: { remove: { messages: true }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: PLANS_TO_WATCH, configOptions: { remove: { listStatuses: ['plans to watch'] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: MANGA_LIST, configOptions: { remove: { listStatuses: ['plans to watch'] }, options: { reverseConditions: true } }, expectedRemove: true },
 
         // Tests for reversed linkedConditions
         { htmlPath: UNLIKED, configOptions: { options: { linkedConditions: [['images', 'unliked']], reverseConditions: true } }, expectedRemove: true },
@@ -290,6 +426,16 @@ describe('ActivityHandler', () => {
         { htmlPath: IMAGES, configOptions: { remove: { images: true }, options: { linkedConditions: ['images', 'videos'], reverseConditions: true } }, expectedRemove: true },
         { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [STRING_1] }, options: { linkedConditions: ['images', 'containsStrings'], reverseConditions: true } }, expectedRemove: true },
 
+        // Tests for reversed like and reply thresholds
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 5 }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { minLikes: 5 }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { maxReplies: 2 }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { remove: { maxReplies: 2 }, options: { reverseConditions: true } }, expectedRemove: true },
+
+        // Tests for reversed rule expressions
+        { htmlPath: IMAGES, configOptions: { options: { rule: 'images or videos', reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { options: { rule: 'images or videos', reverseConditions: true } }, expectedRemove: true },
+
         // Tests for reversed text
         { htmlPath: UNLIKED, configOptions: { remove: { text: true }, options: { reverseConditions: true } }, expectedRemove: true },
         { htmlPath: UNCOMMENTED, configOptions: { remove: { text: true }, options: { reverseConditions: true } }, expectedRemove: true },
@@ -309,4 +455,498 @@ describe('ActivityHandler', () => {
 
     // logTestCases(testCases)
     runTestCases(testCases);
-});
\ No newline at end of file
+
+    function loadNode(htmlPath) {
+        const dom = new jsdom.JSDOM(fs.readFileSync(htmlPath, 'utf8'));
+        return dom.window.document.body.firstChild;
+    }
+
+    describe('hide actions', () => {
+        it('should collapse a filtered activity into a stub listing the matched conditions', () => {
+            merge(activityHandler.config, { remove: { images: true, unliked: true }, options: { hideAction: 'collapse' } });
+            const node = loadNode(IMAGES_UNLIKED);
+            const removeSpy = spy(node, 'remove');
+
+            activityHandler.processNode(node);
+
+            expect(removeSpy.called).to.be.false;
+            expect(node.style.display).to.equal('none');
+            expect(node.previousSibling.textContent).to.equal('Hidden: unliked, images (click to expand)');
+            expect(activityHandler.currentLoadCount).to.equal(0);
+        });
+
+        it('should expand a collapsed activity when its stub is clicked', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { hideAction: 'collapse' } });
+            const node = loadNode(IMAGES);
+
+            activityHandler.processNode(node);
+            node.previousSibling.click();
+
+            expect(node.style.display).to.equal('');
+            expect(node.previousSibling).to.be.null;
+        });
+
+        it('should use the strongest action of all matched conditions', () => {
+            merge(activityHandler.config, {
+                remove: { images: true, unliked: true },
+                options: { hideAction: 'dim', conditionActions: { images: 'blur', unliked: 'collapse' } },
+            });
+            const node = loadNode(IMAGES_UNLIKED);
+
+            activityHandler.processNode(node);
+
+            expect(node.dataset.filterAction).to.equal('collapse');
+        });
+
+        it('should blur or dim filtered activities and reveal them on click', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { conditionActions: { images: 'blur' } } });
+            const blurred = loadNode(IMAGES);
+            activityHandler.processNode(blurred);
+            expect(blurred.style.filter).to.equal('blur(8px)');
+            blurred.click();
+            expect(blurred.style.filter).to.equal('');
+
+            merge(activityHandler.config, { options: { conditionActions: { images: 'dim' } } });
+            const dimmed = loadNode(IMAGES);
+            activityHandler.processNode(dimmed);
+            expect(dimmed.style.opacity).to.equal('0.3');
+        });
+
+        it('should restore a hidden activity when it no longer matches on a later run', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { hideAction: 'collapse' } });
+            const node = loadNode(IMAGES);
+            activityHandler.processNode(node);
+
+            activityHandler.config.remove.images = false;
+            activityHandler.processNode(node);
+
+            expect(node.style.display).to.equal('');
+            expect(node.previousSibling).to.be.null;
+            expect(activityHandler.currentLoadCount).to.equal(1);
+        });
+    });
+
+    describe('verdicts', () => {
+        it('should list matched conditions, linked groups and strings', () => {
+            merge(activityHandler.config, {
+                remove: { videos: true, containsStrings: [STRING_1, [STRING_1, STRING_2]] },
+                options: { linkedConditions: [['images', 'unliked'], ['uncommented']], reverseConditions: false },
+            });
+            const node = loadNode(IMAGES_UNLIKED);
+
+            const verdict = activityHandler.processNode(node);
+
+            expect(verdict).to.deep.equal({
+                remove: true,
+                action: 'remove',
+                reversed: false,
+                reasons: ['images', 'unliked'],
+                user: { name: null, match: null, rules: [] },
+                rule: null,
+                conditions: [{ name: 'videos', matched: false }, { name: 'containsStrings', matched: false }],
+                linkedGroups: [
+                    { conditions: ['images', 'unliked'], matched: true },
+                    { conditions: ['uncommented'], matched: false },
+                ],
+                matchedStrings: [],
+            });
+            expect(activityHandler.getVerdict(node)).to.equal(verdict);
+        });
+
+        it('should report which strings matched', () => {
+            merge(activityHandler.config, { remove: { containsStrings: [STRING_2, [STRING_1, STRING_2]] } });
+
+            const verdict = activityHandler.processNode(loadNode(CONTAINS_STRINGS));
+
+            expect(verdict.reasons).to.deep.equal(['containsStrings']);
+            expect(verdict.matchedStrings).to.deep.equal([STRING_2, [STRING_1, STRING_2]]);
+        });
+
+        it('should format matched regular expressions', () => {
+            merge(activityHandler.config, { remove: { containsStrings: [[/String1/, { regex: 'string2' }]] }, options: { explain: true } });
+            const node = loadNode(CONTAINS_STRINGS);
+
+            activityHandler.processNode(node);
+
+            expect(node.title).to.have.string('Matched strings: /String1/ + /string2/');
+        });
+
+        it('should format matched fields', () => {
+            merge(activityHandler.config, { remove: { containsStrings: [{ string: 'title', field: 'title' }] }, options: { explain: true } });
+            const node = loadNode(USER);
+
+            activityHandler.processNode(node);
+
+            expect(node.title).to.have.string('Matched strings: title (in title)');
+        });
+
+        it('should report kept activities and reversed conditions', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { reverseConditions: true } });
+
+            const verdict = activityHandler.processNode(loadNode(IMAGES));
+
+            expect(verdict.remove).to.be.false;
+            expect(verdict.reversed).to.be.true;
+            expect(verdict.conditions).to.deep.equal([{ name: 'images', matched: false }]);
+        });
+
+        it('should report user rules', () => {
+            merge(activityHandler.config, { users: { rules: { friend: ['unliked', ['animeList', 'uncommented'], 'images'] } } });
+
+            const verdict = activityHandler.processNode(loadNode(USER));
+
+            expect(verdict.reasons).to.deep.equal(['users']);
+            expect(verdict.user).to.deep.equal({ name: 'Friend', match: 'rule', rules: ['unliked', ['animeList', 'uncommented']] });
+        });
+
+        it('should report rule results', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { rule: 'images and not liked', explain: true, conditionActions: { rule: 'collapse' } } });
+            const node = loadNode(IMAGES_UNLIKED);
+
+            const verdict = activityHandler.processNode(node);
+
+            expect(verdict.rule).to.be.true;
+            expect(verdict.reasons).to.deep.equal(['rule']);
+            expect(verdict.conditions).to.deep.equal([]);
+            expect(node.title).to.equal('Hidden (collapse): rule\nRule: \u2713');
+        });
+
+        it('should show the verdict on hover in explain mode', () => {
+            merge(activityHandler.config, {
+                remove: { unliked: true, containsStrings: [STRING_1] },
+                options: { explain: true, hideAction: 'dim', linkedConditions: [['images', 'unliked']] },
+            });
+            const node = loadNode(IMAGES_UNLIKED);
+
+            activityHandler.processNode(node);
+
+            expect(node.title).to.equal('Hidden (dim): images, unliked\nConditions: containsStrings \u2717\nLinked groups: [images + unliked] \u2713');
+        });
+    });
+
+    describe('progress grouping', () => {
+        let feed;
+        let activities;
+
+        const processFeed = () => activities.forEach(node => activityHandler.processNode(node));
+        const getSummaries = () => [...feed.querySelectorAll('.filter-group-summary')].map(summary => summary.firstChild.textContent);
+        const getVisible = () => activities.map(node => node.style.display !== 'none');
+
+        beforeEach(() => {
+            merge(activityHandler.config, { options: { groupProgress: true } });
+            feed = loadNode(PROGRESS_FEED);
+            activities = [...feed.querySelectorAll('.activity-entry')];
+        });
+
+        it('should fold consecutive progress of the same user on the same media into the first entry', () => {
+            processFeed();
+
+            expect(getSummaries()).to.deep.equal(['Watched episodes 9\u201312 of Frieren', 'Read chapters 39\u201340 of Frieren']);
+            expect(getVisible()).to.deep.equal([true, false, false, true, true, true, true, false]);
+        });
+
+        it('should count only the visible entries toward the load count', () => {
+            processFeed();
+
+            expect(activityHandler.currentLoadCount).to.equal(5);
+            expect(activityHandler.currentScanCount).to.equal(8);
+        });
+
+        it('should expand and fold the grouped entries again', () => {
+            processFeed();
+            const toggle = feed.querySelector('.filter-group-summary a');
+            expect(toggle.textContent).to.equal('show 2 more');
+
+            toggle.click();
+            expect(getVisible().slice(0, 3)).to.deep.equal([true, true, true]);
+            expect(feed.querySelector('.filter-group-summary a').textContent).to.equal('hide');
+
+            feed.querySelector('.filter-group-summary a').click();
+            expect(getVisible().slice(0, 3)).to.deep.equal([true, false, false]);
+        });
+
+        it('should skip filtered entries between progress updates', () => {
+            merge(activityHandler.config, { remove: { listStatuses: ['completed'] }, options: { hideAction: 'collapse' } });
+
+            processFeed();
+
+            expect(getSummaries()[0]).to.equal('Watched episodes 8\u201312 of Frieren');
+            expect(feed.querySelectorAll('.filter-group-summary')).to.have.lengthOf(2);
+        });
+
+        it('should build the groups again when the feed is filtered again', () => {
+            processFeed();
+            processFeed();
+
+            expect(getSummaries()).to.deep.equal(['Watched episodes 9\u201312 of Frieren', 'Read chapters 39\u201340 of Frieren']);
+            expect(getVisible()).to.deep.equal([true, false, false, true, true, true, true, false]);
+        });
+
+        it('should not group entries when disabled', () => {
+            merge(activityHandler.config, { options: { groupProgress: false } });
+
+            processFeed();
+
+            expect(getSummaries()).to.deep.equal([]);
+            expect(activityHandler.currentLoadCount).to.equal(8);
+        });
+    });
+
+    describe('duplicates', () => {
+        beforeEach(() => {
+            activityHandler = new ActivityHandler(merge(activityHandler.config, { remove: { duplicates: true } }), null, new DuplicateTracker(createStorage()));
+        });
+
+        it('should keep the first activity and remove repeats of it', () => {
+            expect(activityHandler.processNode(loadNode(IMAGES)).remove).to.be.false;
+            expect(activityHandler.processNode(loadNode(IMAGES)).reasons).to.deep.equal(['duplicates']);
+            expect(activityHandler.processNode(loadNode(VIDEOS)).remove).to.be.false;
+        });
+
+        it('should keep an activity that is filtered again', () => {
+            const node = loadNode(CONTAINS_STRINGS);
+
+            activityHandler.processNode(node);
+
+            expect(activityHandler.processNode(node).remove).to.be.false;
+        });
+
+        it('should not remove anything without a duplicate tracker', () => {
+            activityHandler.duplicates = null;
+
+            activityHandler.processNode(loadNode(IMAGES));
+
+            expect(activityHandler.processNode(loadNode(IMAGES)).remove).to.be.false;
+        });
+    });
+
+    describe('custom conditions', () => {
+        const hasWord = (node, words) => words.some(word => node.textContent.toLowerCase().includes(word));
+
+        beforeEach(() => {
+            ConditionRegistry.register('hasWord', hasWord, { type: 'array', items: { type: 'string' }, default: [] });
+            ConditionRegistry.register('broken', () => { throw new Error('oops'); }, { type: 'boolean', default: false });
+        });
+
+        afterEach(() => {
+            ConditionRegistry.unregister('hasWord');
+            ConditionRegistry.unregister('broken');
+            restore();
+        });
+
+        it('should remove activities matching an enabled custom condition with its configured value', () => {
+            activityHandler.config.remove.hasWord = ['string1'];
+
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRINGS)).reasons).to.deep.equal(['hasWord']);
+            expect(activityHandler.processNode(loadNode(IMAGES)).remove).to.be.false;
+        });
+
+        it('should ignore custom conditions that are not enabled', () => {
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRINGS)).conditions).to.deep.equal([]);
+        });
+
+        it('should support custom conditions in linked conditions, reversed conditions and rules', () => {
+            activityHandler.config.remove.hasWord = ['string1'];
+            activityHandler.config.options.linkedConditions = [['hasWord', 'unliked']];
+            expect(activityHandler.evaluateNode(loadNode(CONTAINS_STRINGS)).linkedGroups).to.deep.equal([{ conditions: ['hasWord', 'unliked'], matched: false }]);
+
+            activityHandler.config.options.linkedConditions = [];
+            activityHandler.config.options.reverseConditions = true;
+            expect(activityHandler.evaluateNode(loadNode(CONTAINS_STRINGS)).remove).to.be.false;
+            expect(activityHandler.evaluateNode(loadNode(IMAGES)).remove).to.be.true;
+
+            activityHandler.config.options.reverseConditions = false;
+            activityHandler.config.options.rule = 'images or hasWord';
+            expect(activityHandler.evaluateNode(loadNode(CONTAINS_STRINGS)).remove).to.be.true;
+        });
+
+        it('should treat failing predicates as not matched', () => {
+            const consoleError = spy(console, 'error');
+            activityHandler.config.remove.broken = true;
+
+            expect(activityHandler.evaluateNode(loadNode(IMAGES)).conditions).to.deep.equal([{ name: 'broken', matched: false }]);
+            expect(consoleError.calledWith('Custom condition broken failed: oops')).to.be.true;
+        });
+    });
+
+    describe('compiled settings', () => {
+        afterEach(() => {
+            restore();
+        });
+
+        it('should compile linked conditions and patterns once until their settings change', () => {
+            merge(activityHandler.config, { remove: { containsStrings: ['string1'] }, options: { linkedConditions: [['images', 'unliked']] } });
+            const extract = spy(activityHandler, 'extractLinkedConditions');
+            const compile = spy(activityHandler, 'compilePattern');
+
+            activityHandler.processNode(loadNode(CONTAINS_STRINGS));
+            activityHandler.processNode(loadNode(CONTAINS_STRINGS));
+
+            expect(extract.calledOnce).to.be.true;
+            expect(compile.calledOnce).to.be.true;
+
+            activityHandler.config.options.linkedConditions = ['images'];
+            activityHandler.config.options.caseSensitive = true;
+            const verdict = activityHandler.processNode(loadNode(CONTAINS_STRINGS));
+
+            expect(extract.calledTwice).to.be.true;
+            expect(compile.calledTwice).to.be.true;
+            expect(verdict.matchedStrings).to.deep.equal([]);
+        });
+
+        it('should match the strings of an activity once per evaluation', () => {
+            merge(activityHandler.config, { remove: { containsStrings: ['string1'] } });
+            const createPattern = spy(activityHandler, 'createPattern');
+
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRINGS)).matchedStrings).to.deep.equal(['string1']);
+            expect(createPattern.calledOnce).to.be.true;
+        });
+
+        it('should match a cached pattern with the g flag every time', () => {
+            const pattern = { regex: 'String1', flags: 'g' };
+            merge(activityHandler.config, { remove: { containsStrings: [pattern] } });
+
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRING_1)).matchedStrings).to.deep.equal([pattern]);
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRING_1)).matchedStrings).to.deep.equal([pattern]);
+        });
+
+        it('should compile the patterns of rules once', () => {
+            merge(activityHandler.config, { options: { rule: 'matches("String1", "g")' } });
+            const compile = spy(activityHandler, 'compilePattern');
+
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRING_1)).rule).to.be.true;
+            expect(activityHandler.processNode(loadNode(CONTAINS_STRING_1)).rule).to.be.true;
+            expect(compile.calledOnce).to.be.true;
+            expect(activityHandler.patternCache.regexes.size).to.equal(1);
+        });
+    });
+
+    describe('events', () => {
+        it('should emit every verdict and the hidden activities', () => {
+            const events = new EventBus();
+            const evaluated = spy();
+            const hidden = spy();
+            events.on('activity:evaluated', evaluated);
+            events.on('activity:hidden', hidden);
+            activityHandler = new ActivityHandler(merge(activityHandler.config, { remove: { images: true } }), null, null, events);
+            const images = loadNode(IMAGES);
+            const videos = loadNode(VIDEOS);
+
+            const verdict = activityHandler.processNode(images);
+            activityHandler.processNode(videos);
+
+            expect(evaluated.callCount).to.equal(2);
+            expect(evaluated.secondCall.args[0].node).to.equal(videos);
+            expect(hidden.calledOnceWith({ node: images, verdict })).to.be.true;
+        });
+    });
+
+    describe('statistics', () => {
+        it('should count scanned and shown activities until the load count is reset', () => {
+            merge(activityHandler.config, { remove: { images: true } });
+
+            [IMAGES, TEXT, UNLIKED].forEach(htmlPath => activityHandler.processNode(loadNode(htmlPath)));
+            expect(activityHandler.currentScanCount).to.equal(3);
+            expect(activityHandler.currentLoadCount).to.equal(2);
+
+            activityHandler.resetLoadCount();
+            expect(activityHandler.currentScanCount).to.equal(0);
+            expect(activityHandler.currentLoadCount).to.equal(0);
+        });
+
+        it('should record every verdict with the stats tracker', () => {
+            const stats = { record: spy() };
+            activityHandler = new ActivityHandler(merge(activityHandler.config, { remove: { images: true } }), stats);
+            const node = loadNode(IMAGES);
+
+            const verdict = activityHandler.processNode(node);
+
+            expect(stats.record.calledOnceWith(node, verdict)).to.be.true;
+        });
+
+        it('should put a removed activity back at its position when shown again', () => {
+            merge(activityHandler.config, { remove: { images: true } });
+            const dom = new jsdom.JSDOM(`<div class="feed"><div class="first"></div>${fs.readFileSync(IMAGES, 'utf8')}<div class="last"></div></div>`);
+            const feed = dom.window.document.querySelector('.feed');
+            const node = feed.querySelector('.activity-entry');
+            const entry = { node, parent: node.parentNode, next: node.nextSibling };
+
+            activityHandler.processNode(node);
+            expect(node.isConnected).to.be.false;
+
+            activityHandler.showNode(entry);
+            expect([...feed.children].map(child => child.className)).to.deep.equal(['first', 'activity-entry activity-text', 'last']);
+        });
+
+        it('should reveal a collapsed activity when shown again', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { hideAction: 'collapse' } });
+            const node = loadNode(IMAGES);
+
+            activityHandler.processNode(node);
+            activityHandler.showNode({ node, parent: node.parentNode, next: null });
+
+            expect(node.style.display).to.equal('');
+            expect(node.parentNode.querySelector('.filter-stub')).to.be.null;
+        });
+    });
+
+    describe('replies', () => {
+        let replyHandler;
+        let activity;
+        let replies;
+
+        const createReplyHandler = (replyOptions, config = activityHandler.config) =>
+            new ActivityHandler(ActivityHandler.createReplyConfig(merge({}, config, {
+                replies: merge({ enabled: true, images: false, gifs: false, videos: false, spoilers: false, minLikes: 0, containsStrings: [] }, replyOptions),
+            })));
+
+        beforeEach(() => {
+            activity = loadNode(REPLIES);
+            replies = [...activity.querySelectorAll('div.activity-reply')];
+        });
+
+        it('should filter replies with the reply conditions', () => {
+            replyHandler = createReplyHandler({ images: true });
+
+            expect(replyHandler.processNode(replies[0]).reasons).to.deep.equal(['images']);
+            expect(replyHandler.processNode(replies[1]).remove).to.be.false;
+            expect(activity.querySelectorAll('div.activity-reply')).to.have.lengthOf(1);
+        });
+
+        it('should match strings and like thresholds against the reply', () => {
+            replyHandler = createReplyHandler({ minLikes: 3, containsStrings: [{ string: 'spoiled', field: 'markdown' }] });
+
+            expect(replyHandler.processNode(replies[0]).reasons).to.deep.equal(['minLikes']);
+            expect(replyHandler.processNode(replies[1]).reasons).to.deep.equal(['containsStrings']);
+        });
+
+        it('should not match the markdown of expanded replies against their activity', () => {
+            merge(activityHandler.config, { remove: { containsStrings: [{ string: 'spoiled', field: 'markdown' }] } });
+
+            expect(activityHandler.processNode(activity).remove).to.be.false;
+        });
+
+        it('should not match the authors of expanded replies against their activity', () => {
+            merge(activityHandler.config, { remove: { containsStrings: [{ string: 'spammer', field: 'author' }] } });
+
+            expect(activityHandler.processNode(activity).remove).to.be.false;
+            expect(activityHandler.getFieldText(replies[0], 'author')).to.equal('Spammer');
+        });
+
+        it('should apply the user allow and block lists to reply authors', () => {
+            replyHandler = createReplyHandler({ images: true }, merge({}, activityHandler.config, { users: { allow: ['Spammer'], block: ['Friend'] } }));
+
+            expect(replyHandler.processNode(replies[0]).user.match).to.equal('allowed');
+            expect(replyHandler.processNode(replies[1]).user.match).to.equal('blocked');
+        });
+
+        it('should not use the activity rule, linked or reversed conditions for replies', () => {
+            const config = merge({}, activityHandler.config, { options: { rule: 'text', linkedConditions: [['text']], reverseConditions: true } });
+            replyHandler = createReplyHandler({}, config);
+
+            expect(replyHandler.config.options).to.include({ rule: '', reverseConditions: false });
+            expect(replyHandler.config.options.linkedConditions).to.deep.equal([]);
+            expect(replyHandler.processNode(replies[1]).remove).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+const { ConditionRegistry } = require('../src/activityFeedFilter.user');
+
+describe('ConditionRegistry', () => {
+    const predicate = () => true;
+
+    afterEach(() => {
+        ConditionRegistry.getNames().forEach(ConditionRegistry.unregister);
+    });
+
+    it('should register conditions with their predicate and schema', () => {
+        const schema = { type: 'integer', minimum: 1, default: 3 };
+
+        ConditionRegistry.register('longPosts', predicate, schema);
+
+        expect(ConditionRegistry.getNames()).to.deep.equal(['longPosts']);
+        expect(ConditionRegistry.get('longPosts')).to.deep.equal({ predicate, schema });
+    });
+
+    it('should reject names that cannot be used in rules or are already taken', () => {
+        ConditionRegistry.register('longPosts', predicate, { type: 'boolean', default: false });
+
+        expect(() => ConditionRegistry.register('long posts', predicate, { type: 'boolean', default: false })).to.throw(/Condition names should start with a letter/);
+        expect(() => ConditionRegistry.register('images', predicate, { type: 'boolean', default: false })).to.throw('Condition images is already defined');
+        expect(() => ConditionRegistry.register('liked', predicate, { type: 'boolean', default: false })).to.throw('Condition liked is already defined');
+        expect(() => ConditionRegistry.register('longPosts', predicate, { type: 'boolean', default: false })).to.throw('Condition longPosts is already defined');
+    });
+
+    it('should reject missing predicates and invalid schemas', () => {
+        expect(() => ConditionRegistry.register('a', null, { type: 'boolean', default: false })).to.throw('Condition a needs a predicate function');
+        expect(() => ConditionRegistry.register('a', predicate, { type: 'object', default: {} })).to.throw(/Condition a needs a schema with a type of boolean, integer, number, string, array/);
+        expect(() => ConditionRegistry.register('a', predicate, { type: 'array', items: { type: 'string' }, default: ['x', 1] })).to.throw('Condition a has an invalid default: a default.1 should be a string');
+        expect(() => ConditionRegistry.register('a', predicate, { type: 'integer', minimum: 1 })).to.throw('Condition a has an invalid default: a default should be an integer');
+        expect(ConditionRegistry.getNames()).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const { ConfigStore } = require('../src/activityFeedFilter.user');
+const { createStorage } = require('./helpers/storage');
+
+describe('ConfigStore', () => {
+    let defaults;
+    let storage;
+    let configStore;
+
+    beforeEach(() => {
+        defaults = {
+            remove: { images: false, containsStrings: [] },
+            options: { targetLoadCount: 2, linkedConditions: [] },
+            runOn: { home: true },
+        };
+
+        storage = createStorage();
+
+        configStore = new ConfigStore(defaults, storage);
+    });
+
+    it('should return a copy of the defaults when nothing is saved', () => {
+        const loaded = configStore.load();
+
+        expect(loaded).to.deep.equal(defaults);
+        expect(loaded.remove).to.not.equal(defaults.remove);
+    });
+
+    it('should merge saved settings over the defaults', () => {
+        storage.setItem(configStore.STORAGE_KEY, JSON.stringify({
+            version: configStore.SCHEMA_VERSION,
+            config: { remove: { images: true, containsStrings: ['A'] } },
+        }));
+
+        expect(configStore.load()).to.deep.equal({
+            remove: { images: true, containsStrings: ['A'] },
+            options: { targetLoadCount: 2, linkedConditions: [] },
+            runOn: { home: true },
+        });
+    });
+
+    it('should save the config together with the schema version', () => {
+        const loaded = configStore.load();
+        loaded.options.targetLoadCount = 5;
+
+        configStore.save(loaded);
+
+        expect(JSON.parse(storage.getItem(configStore.STORAGE_KEY))).to.deep.equal({
+            version: configStore.SCHEMA_VERSION,
+            config: loaded,
+        });
+        expect(configStore.load().options.targetLoadCount).to.equal(5);
+    });
+
+    it('should save regular expressions as { regex, flags } objects', () => {
+        const loaded = configStore.load();
+        loaded.remove.containsStrings = [/episode \d+/i, ['A']];
+
+        configStore.save(loaded);
+
+        expect(configStore.load().remove.containsStrings).to.deep.equal([{ regex: 'episode \\d+', flags: 'i' }, ['A']]);
+    });
+
+    it('should fall back to the defaults when the saved config is corrupt', () => {
+        storage.setItem(configStore.STORAGE_KEY, '{');
+
+        expect(configStore.load()).to.deep.equal(defaults);
+    });
+
+    it('should keep profile feeds enabled for the own profile when migrating to version 2', () => {
+        storage.setItem(configStore.STORAGE_KEY, JSON.stringify({ version: 1, config: { runOn: { home: false, profile: true } } }));
+
+        expect(configStore.load().runOn).to.deep.equal({ home: false, profile: true, ownProfile: true });
+    });
+
+    it('should run pending migrations in order', () => {
+        configStore.SCHEMA_VERSION = 3;
+        configStore.MIGRATIONS = [
+            { version: 3, migrate: (config) => ({ ...config, options: { targetLoadCount: config.options.loadCount * 2 } }) },
+            { version: 2, migrate: (config) => ({ ...config, options: { loadCount: config.options.count + 1 } }) },
+            { version: 1, migrate: () => ({ options: { count: 100 } }) },
+        ];
+        storage.setItem(configStore.STORAGE_KEY, JSON.stringify({ version: 1, config: { options: { count: 3 } } }));
+
+        expect(configStore.load().options.targetLoadCount).to.equal(8);
+    });
+
+    describe('import and export', () => {
+        it('should export a versioned document that imports back to the same config', () => {
+            const loaded = configStore.load();
+            loaded.remove.containsStrings = [/spoiler/i];
+
+            const exported = configStore.exportConfig(loaded);
+
+            expect(JSON.parse(exported)).to.include({ format: configStore.EXPORT_FORMAT, version: configStore.SCHEMA_VERSION });
+            expect(configStore.parseImport(exported)).to.deep.equal({ ...loaded, remove: { images: false, containsStrings: [{ regex: 'spoiler', flags: 'i' }] } });
+        });
+
+        it('should accept partial configs without the export header', () => {
+            expect(configStore.parseImport('{"options": {"linkedConditions": [["images", "unliked"]]}}')).to.deep.equal({ options: { linkedConditions: [['images', 'unliked']] } });
+        });
+
+        it('should migrate documents exported by older versions', () => {
+            Object.assign(defaults.runOn, { profile: false, ownProfile: false });
+            const exported = JSON.stringify({ format: configStore.EXPORT_FORMAT, version: 1, config: { runOn: { profile: true } } });
+
+            expect(configStore.parseImport(exported)).to.deep.equal({ runOn: { profile: true, ownProfile: true } });
+        });
+
+        it('should reject documents that cannot be imported', () => {
+            expect(() => configStore.parseImport('{"remove": ')).to.throw('Imported settings are not valid JSON');
+            expect(() => configStore.parseImport('["images"]')).to.throw('Imported settings should be a JSON object');
+            expect(() => configStore.parseImport('{"format": "other", "config": {}}')).to.throw('Imported settings have an unknown format: other');
+            expect(() => configStore.parseImport(JSON.stringify({ format: configStore.EXPORT_FORMAT, version: 99, config: {} }))).to.throw('Imported settings are from a newer version of the script (99)');
+            expect(() => configStore.parseImport('{"remove": {"image": true}, "filters": {}}')).to.throw('Imported settings contain unknown keys: remove.image, filters');
+        });
+
+        it('should combine lists without duplicates when merging', () => {
+            const merged = ConfigStore.merge(defaults, { remove: { containsStrings: ['A', /B/] } });
+
+            expect(ConfigStore.merge(merged, { remove: { containsStrings: [{ regex: 'B', flags: '' }, 'C'] } }, true).remove.containsStrings)
+                .to.deep.equal(['A', /B/, 'C']);
+            expect(ConfigStore.merge(merged, { remove: { containsStrings: ['C'] } }).remove.containsStrings).to.deep.equal(['C']);
+        });
+
+        it('should overwrite whole settings when replacing', () => {
+            const current = ConfigStore.merge(defaults, { remove: { images: true }, users: { rules: { A: ['images'] } } });
+            const replaced = ConfigStore.replace(current, { users: { rules: { B: ['videos'] } } });
+
+            expect(replaced.users.rules).to.deep.equal({ B: ['videos'] });
+            expect(replaced.remove).to.deep.equal(current.remove);
+            expect(replaced.remove).to.not.equal(current.remove);
+        });
+
+        it('should list the changed settings by path', () => {
+            const changed = ConfigStore.merge(defaults, { remove: { images: true }, options: { linkedConditions: [['images']] } });
+
+            expect(ConfigStore.diff(defaults, changed)).to.deep.equal([
+                { path: 'remove.images', before: false, after: true },
+                { path: 'options.linkedConditions', before: [], after: [['images']] },
+            ]);
+            expect(ConfigStore.diff(defaults, ConfigStore.merge(defaults, {}))).to.deep.equal([]);
+        });
+    });
+});
@@ -1,5 +1,5 @@
 const { expect } = require('chai');
-const { ConfigValidator } = require('../src/activityFeedFilter.user');
+const { ConfigValidator, ConditionRegistry } = require('../src/activityFeedFilter.user');
 const merge = require('lodash.merge');
 
 describe('ConfigValidator', () => {
@@ -7,23 +7,67 @@ describe('ConfigValidator', () => {
         remove: {
             uncommented: false,
             unliked: false,
+            minLikes: 0,
+            maxLikes: 0,
+            minReplies: 0,
+            maxReplies: 0,
             text: false,
             images: false,
             gifs: false,
             videos: false,
+            animeList: false,
+            mangaList: false,
+            textStatus: false,
+            messages: false,
+            spoilers: false,
+            notCaughtUp: [],
+            duplicates: false,
+            listStatuses: [],
             containsStrings: [],
         },
         options: {
             targetLoadCount: 10,
+            duplicateWindow: 6,
+            maxPagesPerClick: 20,
+            maxLoadTime: 30,
+            loadBackoff: 200,
+            groupProgress: false,
+            infiniteScroll: false,
             caseSensitive: false,
+            wholeWord: false,
             linkedConditions: [],
             reverseConditions: false,
+            hideAction: 'remove',
+            conditionActions: {},
+            explain: false,
+            showStats: false,
+            rule: '',
         },
         runOn: {
             home: false,
             social: false,
             profile: false,
+            ownProfile: false,
             guestHome: false,
+            custom: [],
+        },
+        users: {
+            allow: [],
+            block: [],
+            rules: {},
+        },
+        replies: {
+            enabled: false,
+            images: false,
+            gifs: false,
+            videos: false,
+            spoilers: false,
+            minLikes: 0,
+            containsStrings: [],
+        },
+        profiles: {
+            named: {},
+            active: {},
         },
     };
 
@@ -38,17 +82,78 @@ describe('ConfigValidator', () => {
 
     const validConfig = generateMergedConfig({
         remove: {
-            containsStrings: ['A'],
+            containsStrings: ['A', /B/i, { regex: 'C\\d+' }, [{ regex: 'D', flags: 'i' }, 'E'], { string: 'F', field: 'title' }, { regex: 'G', field: 'author' }],
             notContainsStrings: [['A']],
+            minLikes: 5,
+            maxReplies: 10,
+            listStatuses: ['plans to watch', 'dropped'],
+            spoilers: true,
+            notCaughtUp: ['Frieren'],
+        },
+        profiles: {
+            named: { strict: { remove: { unliked: true }, options: { rule: 'images' } }, media: {} },
+            active: { home: 'strict', social: 'media', custom: 'media' },
+        },
+        runOn: {
+            custom: ['https://anilist.co/anime/*/*/social', 'https://anilist.co/user/**'],
+        },
+        replies: {
+            enabled: true,
+            images: true,
+            minLikes: 2,
+            containsStrings: [{ string: 'spoiler', field: 'markdown' }],
+        },
+        users: {
+            allow: ['A'],
+            block: ['B'],
+            rules: { C: ['animeList', ['images', 'unliked']] },
         },
         options: {
-            linkedConditions: ['uncommented', 'unliked', 'text', 'images', 'gifs', 'videos', 'containsStrings'],
+            rule: '(images and not liked) or (text and contains("spoiler", "markdown"))',
+            linkedConditions: ['uncommented', 'unliked', 'minLikes', 'maxLikes', 'minReplies', 'maxReplies', 'text', 'images', 'gifs', 'videos', 'animeList', 'mangaList', 'textStatus', 'messages', 'listStatuses', 'containsStrings'],
         },
     });
 
     const testCases = [
         { config: validConfig, errorMessage: null }, // A valid config with no error
 
+        {
+            config: generateMergedConfig({ options: { maxPagesPerClick: -1, maxLoadTime: 1.5, loadBackoff: '200' } }),
+            errorMessage: /options.maxPagesPerClick should be a non-negative integer, options.maxLoadTime should be a non-negative integer, options.loadBackoff should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ remove: { duplicates: 1 }, options: { duplicateWindow: 0 } }),
+            errorMessage: /options.duplicateWindow should be a positive non-zero integer, remove.duplicates should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ options: { groupProgress: 'yes' } }),
+            errorMessage: /options.groupProgress should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ options: { infiniteScroll: 'on' } }),
+            errorMessage: /options.infiniteScroll should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ options: { showStats: 1 } }),
+            errorMessage: /options.showStats should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ remove: { spoilers: 'yes' } }),
+            errorMessage: /remove.spoilers should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ remove: { notCaughtUp: [1] } }),
+            errorMessage: /remove.notCaughtUp should only contain strings/,
+        },
+        {
+            config: generateMergedConfig({ remove: { notCaughtUp: [[['Frieren']]] } }),
+            errorMessage: /remove.notCaughtUp should only contain strings/,
+        },
+        {
+            config: generateMergedConfig({ options: { rule: 'spoilers or notCaughtUp' }, remove: { notCaughtUp: 'Frieren' } }),
+            errorMessage: /remove.notCaughtUp should be an array/,
+        },
+
         {
             config: generateMergedConfig({
                 remove: {
@@ -67,8 +172,272 @@ describe('ConfigValidator', () => {
             }),
             errorMessage: /should be a positive non-zero integer/,
         },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    minLikes: -1,
+                    maxReplies: 1.5,
+                },
+            }),
+            errorMessage: /remove.minLikes should be a non-negative integer, remove.maxReplies should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    containsStrings: ['A', { regex: '(B' }],
+                },
+            }),
+            errorMessage: /remove.containsStrings contains an invalid regular expression \/\(B\/: /,
+        },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    containsStrings: [{ regex: 'B', flags: 'gi' }],
+                },
+            }),
+            errorMessage: /remove.containsStrings regular expression flags should not include g or y: \/B\/gi/,
+        },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    containsStrings: [{ pattern: 'A' }],
+                },
+            }),
+            errorMessage: /remove.containsStrings should only contain strings, regular expressions, { regex, flags } or { string } objects/,
+        },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    containsStrings: [{ string: 'A', field: 'body' }],
+                },
+            }),
+            errorMessage: /remove.containsStrings fields should be one of the following strings: all, title, status, markdown, author/,
+        },
+        {
+            config: generateMergedConfig({
+                remove: {
+                    listStatuses: ['plans to binge'],
+                },
+            }),
+            errorMessage: /remove.listStatuses should only contain the following strings/,
+        },
+        {
+            config: generateMergedConfig({
+                users: {
+                    block: 'B',
+                },
+            }),
+            errorMessage: /users.block should be an array/,
+        },
+        {
+            config: generateMergedConfig({
+                users: {
+                    allow: [['bob']],
+                },
+            }),
+            errorMessage: /users.allow should only contain strings/,
+        },
+        {
+            config: generateMergedConfig({
+                users: {
+                    rules: { C: ['animeList', 'lists'] },
+                },
+            }),
+            errorMessage: /users.rules should map user names to arrays of the following strings/,
+        },
+        {
+            config: generateMergedConfig({
+                options: {
+                    rule: 'images and (text or memes)',
+                },
+            }),
+            errorMessage: /options.rule is invalid: Unknown condition 'memes' at column 21/,
+        },
+        {
+            config: generateMergedConfig({
+                options: {
+                    rule: ['images'],
+                },
+            }),
+            errorMessage: /options.rule should be a string/,
+        },
+        {
+            config: generateMergedConfig({ replies: { enabled: 'yes' } }),
+            errorMessage: /replies.enabled should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ replies: { minLikes: -1 } }),
+            errorMessage: /replies.minLikes should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ replies: { containsStrings: [{ regex: '(' }] } }),
+            errorMessage: /replies.containsStrings contains an invalid regular expression/,
+        },
+        {
+            config: generateMergedConfig({ runOn: { custom: ['anilist.co/home'] } }),
+            errorMessage: /runOn.custom should be an array of URL patterns starting with https:\/\/anilist.co\//,
+        },
+        {
+            config: generateMergedConfig({ runOn: { custom: 'https://anilist.co/home' } }),
+            errorMessage: /runOn.custom should be an array of URL patterns/,
+        },
+        {
+            config: generateMergedConfig({ runOn: { ownProfile: 'yes' } }),
+            errorMessage: /runOn.ownProfile should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({
+                profiles: {
+                    named: { strict: { remove: { unliked: 'yes' }, options: { targetLoadCount: 0 } } },
+                },
+            }),
+            errorMessage: /profiles.named.strict: remove.unliked should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({
+                profiles: {
+                    named: { strict: { runOn: { home: true } } },
+                },
+            }),
+            errorMessage: /profiles.named.strict should be an object with remove and\/or options/,
+        },
+        {
+            config: generateMergedConfig({
+                profiles: {
+                    named: { strict: {} },
+                    active: { home: 'lenient' },
+                },
+            }),
+            errorMessage: /profiles.active should map feeds \(home, social, profile, ownProfile, guestHome, custom\) to names of profiles.named/,
+        },
+        {
+            config: generateMergedConfig({
+                profiles: {
+                    named: { strict: {} },
+                    active: { feed: 'strict' },
+                },
+            }),
+            errorMessage: /profiles.active should map feeds/,
+        },
+        {
+            config: generateMergedConfig({
+                options: {
+                    hideAction: 'hide',
+                },
+            }),
+            errorMessage: /options.hideAction should be one of the following strings/,
+        },
+        {
+            config: generateMergedConfig({
+                options: {
+                    conditionActions: { images: 'collapse', unliked: 'fade' },
+                },
+            }),
+            errorMessage: /options.conditionActions should map conditions/,
+        },
     ];
 
+    describe('structured results', () => {
+        it('should return the path, expected type and actual value of every problem', () => {
+            const validator = new ConfigValidator(generateMergedConfig({ remove: { images: 'yes', containsStrings: ['A', { regex: '(' }] } }));
+
+            expect(() => validator.validate()).to.throw();
+            expect(validator.problems).to.deep.include({ path: 'remove.images', message: 'remove.images should be a boolean', expected: 'boolean', actual: 'yes', suggestion: null });
+            expect(validator.problems.map(({ path }) => path)).to.deep.equal(['remove.containsStrings.1', 'remove.images']);
+        });
+
+        it('should suggest known keys for misspelled ones', () => {
+            const validator = new ConfigValidator(generateMergedConfig({ options: { reversedConditions: true }, filters: {} }), { defaults: defaultConfig });
+
+            expect(() => validator.validate()).to.throw('options.reversedConditions is not a known setting (did you mean options.reverseConditions?), filters is not a known setting');
+            expect(validator.problems.map(({ path, suggestion }) => ({ path, suggestion }))).to.deep.equal([
+                { path: 'options.reversedConditions', suggestion: 'options.reverseConditions' },
+                { path: 'filters', suggestion: null },
+            ]);
+        });
+
+        it('should report the settings of a missing section instead of crashing', () => {
+            const config = generateMergedConfig({});
+            delete config.runOn;
+
+            expect(() => new ConfigValidator(config).validate()).to.throw(/runOn.custom should be an array of URL patterns starting with https:\/\/anilist.co\/, runOn.home should be a boolean/);
+        });
+    });
+
+    describe('custom conditions', () => {
+        beforeEach(() => {
+            ConditionRegistry.register('longPosts', () => true, { type: 'integer', minimum: 1, maximum: 5000, default: 500 });
+            ConditionRegistry.register('moods', () => true, { type: 'array', items: { type: 'string', enum: ['happy', 'sad'] }, default: [] });
+        });
+
+        afterEach(() => {
+            ConditionRegistry.unregister('longPosts');
+            ConditionRegistry.unregister('moods');
+        });
+
+        it('should accept custom conditions in remove, linked conditions, rules, user rules and condition actions', () => {
+            const config = generateMergedConfig({
+                remove: { longPosts: 800, moods: ['sad'] },
+                options: { linkedConditions: [['longPosts', 'images']], rule: 'longPosts and not moods', conditionActions: { moods: 'blur' } },
+                users: { rules: { A: ['longPosts'] } },
+            });
+
+            expect(() => new ConfigValidator(config, { defaults: merge({}, defaultConfig, { remove: { longPosts: 500, moods: [] } }) }).validate()).to.not.throw();
+        });
+
+        it('should validate the settings of custom conditions against their schema', () => {
+            const validator = new ConfigValidator(generateMergedConfig({ remove: { longPosts: 0, moods: ['happy', 'angry'] } }));
+
+            expect(() => validator.validate()).to.throw('remove.longPosts should be between 1 and 5000, remove.moods.1 should be one of the following: happy, sad');
+            expect(() => new ConfigValidator(generateMergedConfig({ remove: { longPosts: 'long' } })).validate()).to.throw('remove.longPosts should be an integer');
+        });
+    });
+
+    describe('graceful mode', () => {
+        it('should drop invalid entries, reset invalid settings and keep the rest', () => {
+            const config = generateMergedConfig({
+                remove: { images: 'yes', unliked: true, containsStrings: ['A', { regex: '(' }, 'B'], listStatuses: ['dropped', 'plans to binge'] },
+                options: { reversedConditions: true, linkedConditions: [['images', 'memes'], 'text'] },
+                profiles: { named: { strict: { remove: { unliked: 'no', text: true } } }, active: { home: 'strict', feed: 'strict' } },
+            });
+            delete config.runOn;
+
+            const problems = new ConfigValidator(config, { defaults: defaultConfig, graceful: true }).validate();
+
+            expect(problems.map(({ path }) => path)).to.have.members([
+                'options.reversedConditions', 'options.linkedConditions.0', 'remove.containsStrings.1', 'remove.listStatuses.1',
+                'runOn.custom', 'runOn.home', 'runOn.social', 'runOn.profile', 'runOn.ownProfile', 'runOn.guestHome', 'remove.images',
+                'profiles.named.strict.remove.unliked', 'profiles.active.feed',
+            ]);
+            expect(config.remove).to.include({ images: false, unliked: true });
+            expect(config.remove.containsStrings).to.deep.equal(['A', 'B']);
+            expect(config.remove.listStatuses).to.deep.equal(['dropped']);
+            expect(config.options).to.not.have.property('reversedConditions');
+            expect(config.options.linkedConditions).to.deep.equal(['text']);
+            expect(config.runOn).to.deep.equal(defaultConfig.runOn);
+            expect(config.profiles).to.deep.equal({ named: { strict: { remove: { text: true } } }, active: { home: 'strict' } });
+        });
+
+        it('should drop active profiles whose named profiles are invalid', () => {
+            const config = generateMergedConfig({ profiles: { named: null, active: { home: 'x' } } });
+            const broken = generateMergedConfig({ profiles: { named: { x: [], y: {} }, active: { home: 'x', social: 'y' } } });
+
+            const problems = new ConfigValidator(config, { defaults: defaultConfig, graceful: true }).validate();
+            new ConfigValidator(broken, { defaults: defaultConfig, graceful: true }).validate();
+
+            expect(problems.map(({ path }) => path)).to.have.members(['profiles.named', 'profiles.active.home']);
+            expect(config.profiles).to.deep.equal({ named: {}, active: {} });
+            expect(broken.profiles).to.deep.equal({ named: { y: {} }, active: { social: 'y' } });
+        });
+
+        it('should return no problems for a valid configuration', () => {
+            const config = generateMergedConfig({ remove: { minLikes: 5 }, profiles: { named: { strict: { options: { rule: 'images' } } }, active: { home: 'strict' } } });
+
+            expect(new ConfigValidator(config, { defaults: defaultConfig, graceful: true }).validate()).to.deep.equal([]);
+            expect(config).to.deep.equal(generateMergedConfig({ remove: { minLikes: 5 }, profiles: { named: { strict: { options: { rule: 'images' } } }, active: { home: 'strict' } } }));
+        });
+    });
+
     testCases.forEach(({ config, errorMessage }) => {
         if (errorMessage) {
             validateAndCheckErrors(config, errorMessage);
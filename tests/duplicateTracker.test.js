@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { DuplicateTracker } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+const { createStorage } = require('./helpers/storage');
+
+describe('DuplicateTracker', () => {
+    let storage;
+    let tracker;
+    let document;
+    let clock;
+
+    const createActivity = (markdown, link = null) => {
+        const node = document.createElement('div');
+        node.className = 'activity-entry activity-text';
+        node.innerHTML = `<div class="activity-markdown">${markdown}</div>${link ? `<div class="time"><a href="${link}">time</a></div>` : ''}`;
+        return node;
+    };
+
+    beforeEach(() => {
+        document = new JSDOM('<!doctype html><html lang="en"><body></body></html>').window.document;
+        clock = sinon.useFakeTimers(Date.UTC(2024, 0, 1));
+
+        storage = createStorage();
+
+        tracker = new DuplicateTracker(storage);
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should fingerprint normalized text, images, videos, links and YouTube sources', () => {
+        const node = createActivity('<p>Look at THIS,  clip!</p><img src="a.png"><video src="b.webm"></video><a href="https://x.y/">link</a><span class="youtube" id="abc123"></span>');
+
+        expect(tracker.getFingerprints(node)).to.deep.equal([
+            `text:${tracker.hash('look at this clip link')}`,
+            'source:a.png',
+            'source:b.webm',
+            'source:https://x.y/',
+            'youtube:abc123',
+        ]);
+    });
+
+    it('should not fingerprint mentions and links to AniList', () => {
+        const node = createActivity('<a href="/user/Friend">@Friend</a><a href="https://anilist.co/anime/1/">Cowboy Bebop</a><a href="https://www.anilist.co/manga/2/">Berserk</a>');
+
+        expect(tracker.getFingerprints(node).filter(fingerprint => fingerprint.startsWith('source:'))).to.deep.equal([]);
+        expect(tracker.isDuplicate(createActivity('<a href="/user/Friend">@Friend</a>', '/activity/1'), 6)).to.be.false;
+        expect(tracker.isDuplicate(createActivity('<a href="/user/Friend">@Friend</a>', '/activity/2'), 6)).to.be.false;
+    });
+
+    it('should ignore short texts and activities without markdown', () => {
+        expect(tracker.getFingerprints(createActivity('<p>lol</p>'))).to.deep.equal([]);
+        expect(tracker.getFingerprints(document.createElement('div'))).to.deep.equal([]);
+    });
+
+    it('should report repeats of the same content by other activities', () => {
+        expect(tracker.isDuplicate(createActivity('<img src="a.png"><p>first post</p>', '/activity/1'), 6)).to.be.false;
+        expect(tracker.isDuplicate(createActivity('<p>Reposting this</p><img src="a.png">', '/activity/2'), 6)).to.be.true;
+        expect(tracker.isDuplicate(createActivity('<p>Something else entirely</p>', '/activity/3'), 6)).to.be.false;
+    });
+
+    it('should not report the first activity when it is seen again after a reload', () => {
+        tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/1'), 6);
+        clock.tick(tracker.SAVE_DELAY);
+
+        const reloaded = new DuplicateTracker(storage);
+
+        expect(reloaded.isDuplicate(createActivity('<img src="a.png">', '/activity/1'), 6)).to.be.false;
+        expect(reloaded.isDuplicate(createActivity('<img src="a.png">', '/activity/2'), 6)).to.be.true;
+    });
+
+    it('should forget fingerprints outside of the time window', () => {
+        tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/1'), 6);
+
+        clock.tick(6 * 60 * 60 * 1000 + 1);
+
+        expect(tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/2'), 6)).to.be.false;
+    });
+
+    it('should keep only the most recent fingerprints', () => {
+        tracker.MAX_FINGERPRINTS = 2;
+
+        ['a', 'b', 'c'].forEach((name, index) => {
+            clock.tick(1);
+            tracker.isDuplicate(createActivity(`<img src="${name}.png">`, `/activity/${index}`), 6);
+        });
+        clock.tick(tracker.SAVE_DELAY);
+
+        expect(Object.keys(JSON.parse(storage.getItem(tracker.STORAGE_KEY)))).to.deep.equal(['source:c.png', 'source:b.png']);
+    });
+
+    it('should store texts as hashes', () => {
+        const text = 'a long post that is repeated word for word';
+
+        expect(tracker.hash(text)).to.equal(tracker.hash(text));
+        expect(tracker.hash(text)).to.not.equal(tracker.hash(`${text}!`));
+        expect(tracker.getFingerprints(createActivity(`<p>${text}</p>`))[0]).to.have.lengthOf.below(20);
+    });
+
+    it('should save the fingerprints of several activities at once', () => {
+        const setItem = sinon.spy(storage, 'setItem');
+
+        tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/1'), 6);
+        tracker.isDuplicate(createActivity('<img src="b.png">', '/activity/2'), 6);
+        expect(setItem.called).to.be.false;
+
+        clock.tick(tracker.SAVE_DELAY);
+        expect(setItem.calledOnce).to.be.true;
+        expect(Object.keys(JSON.parse(storage.getItem(tracker.STORAGE_KEY)))).to.have.members(['source:a.png', 'source:b.png']);
+    });
+
+    it('should keep working when the fingerprints cannot be saved', () => {
+        const consoleError = sinon.stub(console, 'error');
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+
+        tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/1'), 6);
+        clock.tick(tracker.SAVE_DELAY);
+
+        expect(tracker.isDuplicate(createActivity('<img src="a.png">', '/activity/2'), 6)).to.be.true;
+        expect(consoleError.calledWith('Duplicate fingerprints could not be saved')).to.be.true;
+        consoleError.restore();
+    });
+
+    it('should start over when the saved fingerprints are corrupt', () => {
+        storage.setItem(tracker.STORAGE_KEY, '{');
+
+        expect(new DuplicateTracker(storage).fingerprints).to.deep.equal({});
+    });
+});
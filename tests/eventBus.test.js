@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { EventBus } = require('../src/activityFeedFilter.user');
+
+describe('EventBus', () => {
+    let events;
+
+    beforeEach(() => {
+        events = new EventBus();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should call the listeners of an event with its detail', () => {
+        const first = sinon.spy();
+        const second = sinon.spy();
+        const other = sinon.spy();
+
+        events.on('activity:hidden', first);
+        events.on('activity:hidden', second);
+        events.on('config:changed', other);
+        events.emit('activity:hidden', { reasons: ['images'] });
+
+        expect(first.calledOnceWith({ reasons: ['images'] })).to.be.true;
+        expect(second.calledOnce).to.be.true;
+        expect(other.called).to.be.false;
+    });
+
+    it('should remove listeners with off or the returned function', () => {
+        const first = sinon.spy();
+        const second = sinon.spy();
+
+        const unsubscribe = events.on('loadmore:start', first);
+        events.on('loadmore:start', second);
+        unsubscribe();
+        events.off('loadmore:start', second);
+        events.emit('loadmore:start');
+
+        expect(first.called).to.be.false;
+        expect(second.called).to.be.false;
+    });
+
+    it('should keep calling listeners after one of them fails', () => {
+        const consoleError = sinon.stub(console, 'error');
+        const listener = sinon.spy();
+
+        events.on('loadmore:stop', () => { throw new Error('oops'); });
+        events.on('loadmore:stop', listener);
+        events.emit('loadmore:stop');
+
+        expect(listener.calledOnce).to.be.true;
+        expect(consoleError.calledWith('Listener for loadmore:stop failed: oops')).to.be.true;
+    });
+});
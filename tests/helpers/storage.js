@@ -0,0 +1,10 @@
+// An in-memory stand-in for localStorage, kept as a plain object so tests can replace its methods
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, value),
+    };
+};
+
+module.exports = { createStorage };
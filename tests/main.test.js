@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+const { main, ConfigStore } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+describe('main', () => {
+    const globals = ['window', 'document', 'HTMLElement', 'MutationObserver', 'CustomEvent'];
+    let originals;
+    let jsdom;
+    let configStore;
+
+    beforeEach(() => {
+        originals = globals.map(name => global[name]);
+        jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>', { url: 'https://anilist.co/home' });
+        globals.forEach(name => global[name] = jsdom.window[name]);
+        configStore = new ConfigStore({}, jsdom.window.localStorage);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => setTimeout(resolve));
+        globals.forEach((name, index) => global[name] = originals[index]);
+    });
+
+    const openPanel = () => document.querySelector('.filter-settings-button').click();
+
+    it('should load the saved config from storage', () => {
+        configStore.save({ remove: { images: true } });
+
+        main();
+        openPanel();
+
+        expect(document.querySelector('[data-path="remove.images"]').checked).to.be.true;
+    });
+
+    it('should save the applied config to storage', () => {
+        main();
+        openPanel();
+        document.querySelector('[data-path="remove.images"]').checked = true;
+        document.querySelector('.filter-settings-apply').click();
+
+        expect(JSON.parse(jsdom.window.localStorage.getItem(configStore.STORAGE_KEY)).config.remove.images).to.be.true;
+    });
+});
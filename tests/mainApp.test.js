@@ -1,4 +1,6 @@
+const fs = require('fs');
 const MainApp = require("../src/activityFeedFilter.user").MainApp;
+const { ActivityHandler, StatsTracker } = require("../src/activityFeedFilter.user");
 const sinon = require('sinon');
 const expect = require('chai').expect;
 const { JSDOM } = require('jsdom');
@@ -12,6 +14,7 @@ describe('MainApp', () => {
     let mainApp;
     let activityHandler;
     let uiHandler;
+    let replyHandler;
 
     beforeEach(() => {
         activityHandler = {
@@ -25,9 +28,20 @@ describe('MainApp', () => {
             clickLoadMore: sinon.spy(),
             userPressed: true,
             resetState: sinon.spy(),
+            resetRoute: sinon.spy(),
+            setLimits: sinon.spy(),
+            setInfiniteScroll: sinon.spy(),
+            updateProgress: sinon.spy(),
+        };
+
+        replyHandler = {
+            processNode: sinon.spy(),
         };
 
         mainApp = new MainApp(activityHandler, uiHandler, {
+            remove: {
+                images: false,
+            },
             options: {
                 targetLoadCount: 10,
             },
@@ -35,24 +49,37 @@ describe('MainApp', () => {
                 home: false,
                 social: false,
                 profile: false,
+                ownProfile: false,
                 guestHome: false,
+                custom: [],
             },
-        });
+            replies: {
+                enabled: false,
+            },
+            profiles: {
+                named: {},
+                active: {},
+            },
+        }, replyHandler);
     });
 
     describe('observeMutations', () => {
         it('should call handleAddedNode and loadMoreOrReset if URL is allowed', () => {
+            const clock = sinon.useFakeTimers();
             const mutations = [{ addedNodes: [document.createElement('div')] }];
             const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
             const handleAddedNodeSpy = sinon.spy(mainApp, 'handleAddedNode');
             const loadMoreOrResetSpy = sinon.spy(mainApp, 'loadMoreOrReset');
 
             mainApp.observeMutations(mutations);
+            mainApp.observeMutations(mutations);
+            clock.tick(0);
 
-            expect(isAllowedUrlStub.calledOnce).to.be.true;
-            expect(handleAddedNodeSpy.calledOnce).to.be.true;
+            expect(isAllowedUrlStub.calledTwice).to.be.true;
+            expect(handleAddedNodeSpy.calledTwice).to.be.true;
             expect(loadMoreOrResetSpy.calledOnce).to.be.true;
 
+            clock.restore();
             isAllowedUrlStub.restore();
             handleAddedNodeSpy.restore();
             loadMoreOrResetSpy.restore();
@@ -82,6 +109,7 @@ describe('MainApp', () => {
             activityNode.classList.add('activity-entry');
 
             mainApp.handleAddedNode(activityNode);
+            mainApp.processQueue();
 
             expect(activityHandler.processNode.calledOnce).to.be.true;
         });
@@ -103,6 +131,31 @@ describe('MainApp', () => {
             expect(activityHandler.processNode.called).to.be.false;
             expect(uiHandler.assignLoadMore.called).to.be.false;
         });
+
+        it('should call replies.processNode for added replies if replies are enabled', () => {
+            const replyNode = document.createElement('div');
+            replyNode.classList.add('activity-reply');
+            const thread = document.createElement('div');
+            thread.append(document.createElement('div'), document.createElement('div'));
+            thread.childNodes.forEach(node => node.classList.add('activity-reply'));
+            mainApp.config.replies.enabled = true;
+
+            mainApp.handleAddedNode(replyNode);
+            mainApp.handleAddedNode(thread);
+            mainApp.processQueue();
+
+            expect(replyHandler.processNode.callCount).to.equal(3);
+            expect(activityHandler.processNode.called).to.be.false;
+        });
+
+        it('should not call replies.processNode if replies are disabled', () => {
+            const replyNode = document.createElement('div');
+            replyNode.classList.add('activity-reply');
+
+            mainApp.handleAddedNode(replyNode);
+
+            expect(replyHandler.processNode.called).to.be.false;
+        });
     });
 
     describe('loadMoreOrReset', () => {
@@ -115,6 +168,15 @@ describe('MainApp', () => {
             expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
         });
 
+        it('should report the progress to the UI before loading more', () => {
+            activityHandler.currentLoadCount = 3;
+            activityHandler.currentScanCount = 48;
+
+            mainApp.loadMoreOrReset();
+
+            expect(uiHandler.updateProgress.calledOnceWith({ shown: 3, target: 10, scanned: 48 })).to.be.true;
+        });
+
         it('should call ac.resetLoadCount and ui.resetLoadCount if currentLoadCount is equal to targetLoadCount and userPressed is true', () => {
             activityHandler.currentLoadCount = 10;
             uiHandler.userPressed = true;
@@ -136,6 +198,316 @@ describe('MainApp', () => {
         });
     });
 
+    describe('refilter', () => {
+        it('should process every rendered activity and reset the load count if URL is allowed', () => {
+            const activities = [document.createElement('div'), document.createElement('div')];
+            activities.forEach(node => {
+                node.classList.add('activity-entry');
+                document.body.appendChild(node);
+            });
+            const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+
+            mainApp.refilter();
+
+            expect(activityHandler.processNode.calledTwice).to.be.true;
+            expect(activityHandler.resetLoadCount.calledOnce).to.be.true;
+
+            isAllowedUrlStub.restore();
+            activities.forEach(node => node.remove());
+        });
+    });
+
+    describe('batched processing', () => {
+        const createActivities = (count) => Array.from({ length: count }, () => {
+            const node = document.createElement('div');
+            node.classList.add('activity-entry');
+            return node;
+        });
+
+        it('should process added activities in batches and load more once the queue is empty', () => {
+            const clock = sinon.useFakeTimers();
+            const loadMoreOrResetSpy = sinon.spy(mainApp, 'loadMoreOrReset');
+            createActivities(mainApp.BATCH_SIZE + 5).forEach(mainApp.handleAddedNode);
+
+            mainApp.scheduleBatch();
+            clock.next();
+            expect(activityHandler.processNode.callCount).to.equal(mainApp.BATCH_SIZE);
+            expect(loadMoreOrResetSpy.called).to.be.false;
+
+            clock.next();
+            expect(activityHandler.processNode.callCount).to.equal(mainApp.BATCH_SIZE + 5);
+            expect(loadMoreOrResetSpy.calledOnce).to.be.true;
+
+            clock.restore();
+            loadMoreOrResetSpy.restore();
+        });
+
+        it('should keep processing while the browser is idle', () => {
+            createActivities(mainApp.BATCH_SIZE + 5).forEach(mainApp.handleAddedNode);
+
+            mainApp.processQueue({ timeRemaining: () => 10 });
+
+            expect(activityHandler.processNode.callCount).to.equal(mainApp.BATCH_SIZE + 5);
+        });
+
+        it('should not evaluate an activity again when it is added again', () => {
+            const [activity] = createActivities(1);
+
+            mainApp.handleAddedNode(activity);
+            mainApp.handleAddedNode(activity);
+            mainApp.processQueue();
+            mainApp.handleAddedNode(activity);
+            mainApp.processQueue();
+
+            expect(activityHandler.processNode.calledOnce).to.be.true;
+        });
+
+        it('should only observe the feed container once it is rendered', () => {
+            const observed = [];
+            const OriginalObserver = global.MutationObserver;
+            global.MutationObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                }
+
+                observe = (target) => observed.push(target);
+
+                disconnect = () => {};
+
+                takeRecords = () => [];
+            };
+            const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            sinon.stub(mainApp, 'watchNavigation');
+            sinon.stub(mainApp, 'handleNavigation');
+
+            mainApp.initializeObserver();
+            expect(observed).to.deep.equal([document.body, document.body]);
+
+            const feed = document.createElement('div');
+            feed.classList.add('activity-feed-wrap');
+            feed.append(...createActivities(2));
+            document.body.appendChild(feed);
+            mainApp.watchFeed();
+            mainApp.watchFeed();
+            mainApp.processQueue();
+
+            expect(observed).to.deep.equal([document.body, document.body, feed]);
+            expect(activityHandler.processNode.calledTwice).to.be.true;
+
+            global.MutationObserver = OriginalObserver;
+            isAllowedUrlStub.restore();
+            sinon.restore();
+            feed.remove();
+        });
+    });
+
+    describe('pause and resume', () => {
+        it('should leave activities alone while paused and filter them again on resume', () => {
+            const activity = document.createElement('div');
+            activity.classList.add('activity-entry');
+            document.body.appendChild(activity);
+            const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+
+            mainApp.pause();
+            mainApp.observeMutations([{ addedNodes: [activity] }]);
+            mainApp.refilter();
+
+            expect(uiHandler.resetState.calledOnce).to.be.true;
+            expect(activityHandler.processNode.called).to.be.false;
+
+            mainApp.resume();
+
+            expect(mainApp.paused).to.be.false;
+            expect(activityHandler.processNode.calledOnceWith(activity)).to.be.true;
+
+            isAllowedUrlStub.restore();
+            activity.remove();
+        });
+    });
+
+    describe('restoring activities', () => {
+        let stats;
+        let feed;
+        let isAllowedUrlStub;
+
+        beforeEach(() => {
+            mainApp.config = {
+                ...mainApp.config,
+                remove: { uncommented: false, unliked: false, minLikes: 0, maxLikes: 0, minReplies: 0, maxReplies: 0, text: false, images: true, gifs: false, videos: false, animeList: false, mangaList: false, textStatus: false, messages: false, spoilers: false, notCaughtUp: [], duplicates: false, listStatuses: [], containsStrings: [] },
+                options: { targetLoadCount: 10, caseSensitive: false, wholeWord: false, reverseConditions: false, linkedConditions: [], hideAction: 'remove', conditionActions: {}, rule: '', explain: false, groupProgress: false },
+                users: { allow: [], block: [], rules: {} },
+            };
+            stats = new StatsTracker({ getItem: () => null, setItem: () => {} });
+            mainApp.ac = new ActivityHandler(mainApp.config, stats);
+            mainApp.applyProfile();
+
+            feed = document.createElement('div');
+            feed.innerHTML = fs.readFileSync('./tests/data/activity-images.html', 'utf8');
+            document.body.appendChild(feed);
+            isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+        });
+
+        afterEach(() => {
+            isAllowedUrlStub.restore();
+            feed.remove();
+            global.window = jsdom.window;
+        });
+
+        it('should keep a restored activity visible when the feed is filtered again', () => {
+            const activity = feed.querySelector('.activity-entry');
+
+            mainApp.refilter();
+            expect(activity.isConnected).to.be.false;
+
+            mainApp.ac.showNode(stats.log[0]);
+            mainApp.refilter();
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.handleNavigation();
+
+            expect(activity.parentNode).to.equal(feed);
+        });
+    });
+
+    describe('handleNavigation', () => {
+        let activities;
+
+        beforeEach(() => {
+            activities = [document.createElement('div'), document.createElement('div')];
+            activities.forEach(node => {
+                node.classList.add('activity-entry');
+                document.body.appendChild(node);
+            });
+        });
+
+        afterEach(() => {
+            activities.forEach(node => node.remove());
+            global.window = jsdom.window;
+        });
+
+        it('should reset the load state and scan rendered activities when the route changes', () => {
+            mainApp.config.runOn.home = true;
+            global.window = { location: { href: 'https://anilist.co/home' } };
+
+            mainApp.handleNavigation();
+
+            expect(mainApp.currentUrl).to.equal('https://anilist.co/home');
+            expect(mainApp.currentFeed).to.equal('home');
+            expect(uiHandler.resetRoute.calledOnce).to.be.true;
+            expect(activityHandler.processNode.calledTwice).to.be.true;
+            expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+        });
+
+        it('should keep a Load More button that was rendered before the route reset', () => {
+            mainApp.config.runOn.home = true;
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            const loadMore = document.createElement('div');
+            loadMore.classList.add('load-more');
+            document.body.appendChild(loadMore);
+
+            mainApp.handleNavigation();
+
+            expect(uiHandler.assignLoadMore.calledOnceWith(loadMore)).to.be.true;
+            expect(uiHandler.assignLoadMore.calledAfter(uiHandler.resetRoute)).to.be.true;
+            expect(uiHandler.assignLoadMore.calledBefore(uiHandler.clickLoadMore)).to.be.true;
+
+            loadMore.remove();
+        });
+
+        it('should not scan activities on routes that are not allowed', () => {
+            global.window = { location: { href: 'https://anilist.co/home' } };
+
+            mainApp.handleNavigation();
+
+            expect(uiHandler.resetRoute.calledOnce).to.be.true;
+            expect(activityHandler.processNode.called).to.be.false;
+        });
+
+        it('should ignore navigation events without a route change', () => {
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.currentUrl = 'https://anilist.co/home';
+
+            mainApp.handleNavigation();
+
+            expect(uiHandler.resetRoute.called).to.be.false;
+        });
+    });
+
+    describe('watchNavigation', () => {
+        it('should handle history changes and popstate events once the new route has rendered', () => {
+            const page = new JSDOM('<!doctype html><html lang="en"><body></body></html>', { url: 'https://anilist.co/home' });
+            const { Event } = global;
+            global.window = page.window;
+            global.Event = page.window.Event;
+            const clock = sinon.useFakeTimers();
+            const handleNavigationStub = sinon.stub(mainApp, 'handleNavigation');
+
+            mainApp.watchNavigation();
+            window.history.pushState({}, '', '/user/name/');
+            window.history.replaceState({}, '', '/user/name/animelist');
+
+            expect(handleNavigationStub.called).to.be.false;
+
+            clock.tick(0);
+            window.dispatchEvent(new window.Event('popstate'));
+            clock.tick(0);
+
+            expect(window.location.pathname).to.equal('/user/name/animelist');
+            expect(handleNavigationStub.callCount).to.equal(2);
+
+            clock.restore();
+            global.window = jsdom.window;
+            global.Event = Event;
+        });
+    });
+
+    describe('applyProfile', () => {
+        beforeEach(() => {
+            mainApp.config.profiles.named = {
+                'Home: strict': { remove: { images: true }, options: { targetLoadCount: 5 } },
+            };
+        });
+
+        afterEach(() => {
+            global.window = jsdom.window;
+        });
+
+        it('should apply the active profile of the current feed', () => {
+            mainApp.config.profiles.active = { home: 'Home: strict' };
+            global.window = { location: { href: 'https://anilist.co/home' } };
+
+            mainApp.applyProfile();
+
+            expect(mainApp.currentFeed).to.equal('home');
+            expect(activityHandler.config.remove.images).to.be.true;
+            expect(activityHandler.config.options.targetLoadCount).to.equal(5);
+            expect(uiHandler.setLimits.calledOnceWith(activityHandler.config.options)).to.be.true;
+            expect(mainApp.config.remove.images).to.be.false;
+        });
+
+        it('should use the base settings on feeds without an active profile', () => {
+            mainApp.config.profiles.active = { home: 'Home: strict' };
+            global.window = { location: { href: 'https://anilist.co/anime/1/social' } };
+
+            mainApp.applyProfile();
+
+            expect(mainApp.currentFeed).to.equal('social');
+            expect(activityHandler.config.remove.images).to.be.false;
+            expect(activityHandler.config.options.targetLoadCount).to.equal(10);
+        });
+
+        it('should use the target load count of the active profile', () => {
+            mainApp.config.profiles.active = { home: 'Home: strict' };
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.applyProfile();
+            activityHandler.currentLoadCount = 5;
+
+            mainApp.loadMoreOrReset();
+
+            expect(uiHandler.clickLoadMore.called).to.be.false;
+            expect(activityHandler.resetLoadCount.calledOnce).to.be.true;
+        });
+    });
+
     describe('isAllowedUrl', () => {
         const testUrls = [
             'https://anilist.co/home',
@@ -145,7 +517,7 @@ describe('MainApp', () => {
         ];
 
         it('should return false for all URLs when all config values are false', () => {
-            Object.keys(mainApp.config.runOn).forEach(key => {
+            Object.keys(mainApp.URLS).forEach(key => {
                 mainApp.config.runOn[key] = false;
             });
 
@@ -156,7 +528,7 @@ describe('MainApp', () => {
         });
 
         it('should return true for corresponding URLs when all config values are true', () => {
-            Object.keys(mainApp.config.runOn).forEach(key => {
+            Object.keys(mainApp.URLS).forEach(key => {
                 mainApp.config.runOn[key] = true;
             });
 
@@ -165,5 +537,73 @@ describe('MainApp', () => {
                 expect(mainApp.isAllowedUrl()).to.be.true;
             });
         });
+
+        it('should ignore query strings, hashes and trailing slashes', () => {
+            mainApp.config.runOn.home = true;
+
+            ['https://anilist.co/home/', 'https://anilist.co/home?page=2', 'https://anilist.co/home#top'].forEach(url => {
+                global.window = { location: { href: url } };
+                expect(mainApp.isAllowedUrl()).to.be.true;
+            });
+        });
+
+        it('should not match other pages below a feed', () => {
+            mainApp.config.runOn.home = true;
+            mainApp.config.runOn.profile = true;
+
+            ['https://anilist.co/homepage', 'https://anilist.co/user/username/animelist', 'https://anilist.co/search/anime?user=home'].forEach(url => {
+                global.window = { location: { href: url } };
+                expect(mainApp.isAllowedUrl()).to.be.false;
+            });
+        });
+
+        it('should match user-defined URL patterns', () => {
+            mainApp.config.runOn.custom = ['https://anilist.co/anime/*/*/reviews'];
+
+            global.window = { location: { href: 'https://anilist.co/anime/1/Cowboy-Bebop/reviews' } };
+            expect(mainApp.isAllowedUrl()).to.be.true;
+            expect(mainApp.getCurrentFeed()).to.equal('custom');
+
+            global.window = { location: { href: 'https://anilist.co/manga/1/reviews' } };
+            expect(mainApp.isAllowedUrl()).to.be.false;
+        });
+
+        describe('profile feeds', () => {
+            let navLink;
+
+            beforeEach(() => {
+                const nav = document.createElement('div');
+                nav.classList.add('nav');
+                navLink = Object.assign(document.createElement('a'), { className: 'link', href: '/user/Me/' });
+                nav.appendChild(navLink);
+                document.body.appendChild(nav);
+            });
+
+            afterEach(() => {
+                navLink.parentElement.remove();
+            });
+
+            it('should tell the own profile apart from other profiles', () => {
+                mainApp.config.runOn.profile = true;
+
+                global.window = { location: { href: 'https://anilist.co/user/me/' } };
+                expect(mainApp.getCurrentFeed()).to.equal('ownProfile');
+                expect(mainApp.isAllowedUrl()).to.be.false;
+
+                global.window = { location: { href: 'https://anilist.co/user/Friend/' } };
+                expect(mainApp.getCurrentFeed()).to.equal('profile');
+                expect(mainApp.isAllowedUrl()).to.be.true;
+            });
+
+            it('should run on the own profile only when ownProfile is enabled', () => {
+                mainApp.config.runOn.ownProfile = true;
+
+                global.window = { location: { href: 'https://anilist.co/user/Me' } };
+                expect(mainApp.isAllowedUrl()).to.be.true;
+
+                global.window = { location: { href: 'https://anilist.co/user/Friend' } };
+                expect(mainApp.isAllowedUrl()).to.be.false;
+            });
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const { RuleParser } = require('../src/activityFeedFilter.user');
+
+describe('RuleParser', () => {
+    let ruleParser;
+
+    beforeEach(() => {
+        ruleParser = new RuleParser({
+            conditions: ['uncommented', 'unliked', 'text', 'images', 'containsStrings'],
+            fields: ['all', 'title'],
+            statuses: ['completed', 'plans to watch'],
+        });
+    });
+
+    const condition = (name, position) => ({ type: 'condition', name, position });
+
+    it('should parse conditions combined with and, or and not', () => {
+        expect(ruleParser.parse('images and not text or unliked')).to.deep.equal({
+            type: 'or',
+            left: { type: 'and', left: condition('images', 0), right: { type: 'not', operand: condition('text', 15) } },
+            right: condition('unliked', 23),
+        });
+    });
+
+    it('should respect parentheses', () => {
+        expect(ruleParser.parse('images AND (text OR unliked)')).to.deep.equal({
+            type: 'and',
+            left: condition('images', 0),
+            right: { type: 'or', left: condition('text', 12), right: condition('unliked', 20) },
+        });
+    });
+
+    it('should resolve aliases to negated conditions', () => {
+        expect(ruleParser.parse('liked')).to.deep.equal({ type: 'not', operand: condition('unliked', 0) });
+    });
+
+    it('should parse function calls with string arguments', () => {
+        expect(ruleParser.parse(`contains("say \\"hi\\"", 'title') or status("completed")`)).to.deep.equal({
+            type: 'or',
+            left: { type: 'function', name: 'contains', args: ['say "hi"', 'title'], position: 0 },
+            right: { type: 'function', name: 'status', args: ['completed'], position: 35 },
+        });
+    });
+
+    const errorCases = [
+        { rule: 'images and', error: 'Unexpected end of rule at column 11' },
+        { rule: 'images text', error: "Unexpected 'text' at column 8" },
+        { rule: '(images or text', error: "Expected ')' but found end of rule at column 16" },
+        { rule: 'images & text', error: "Unexpected character '&' at column 8" },
+        { rule: 'memes', error: "Unknown condition 'memes' at column 1" },
+        { rule: 'text or contains', error: "'contains' is a function and needs arguments at column 9" },
+        { rule: 'images("a")', error: "'images' is a condition and takes no arguments at column 1" },
+        { rule: 'includes("a")', error: "Unknown function 'includes' at column 1" },
+        { rule: 'contains()', error: "'contains' expects 1 to 2 arguments at column 1" },
+        { rule: 'author("a", "b")', error: "'author' expects 1 argument at column 1" },
+        { rule: 'contains(images)', error: "Expected a string but found 'images' at column 10" },
+        { rule: 'contains("a", "body")', error: "Unknown field 'body', expected one of: all, title at column 15" },
+        { rule: 'status("watching")', error: "Unknown status 'watching', expected one of: completed, plans to watch at column 8" },
+        { rule: 'matches("(a")', error: 'Invalid regular expression: /(a/: Unterminated group at column 9' },
+        { rule: 'contains("a', error: 'Unterminated string at column 10' },
+    ];
+
+    errorCases.forEach(({ rule, error }) => {
+        it(`should reject '${rule}' with a positioned error`, () => {
+            expect(() => ruleParser.parse(rule)).to.throw(error);
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { SettingsPanel, ConfigStore } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+const { createStorage } = require('./helpers/storage');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+global.window = jsdom.window;
+global.document = jsdom.window.document;
+global.HTMLElement = jsdom.window.HTMLElement;
+
+describe('SettingsPanel', () => {
+    let config;
+    let onApply;
+    let settingsPanel;
+
+    beforeEach(() => {
+        config = {
+            remove: { uncommented: false, unliked: false, minLikes: 0, maxLikes: 0, minReplies: 0, maxReplies: 0, text: false, images: false, gifs: false, videos: false, animeList: false, mangaList: false, textStatus: false, messages: false, spoilers: false, notCaughtUp: [], duplicates: false, listStatuses: [], containsStrings: [] },
+            options: { targetLoadCount: 2, duplicateWindow: 6, maxPagesPerClick: 20, maxLoadTime: 30, loadBackoff: 200, groupProgress: false, infiniteScroll: false, caseSensitive: false, wholeWord: false, reverseConditions: false, linkedConditions: [], hideAction: 'remove', conditionActions: {}, rule: '', explain: false, showStats: false },
+            runOn: { home: true, social: true, profile: false, ownProfile: false, guestHome: false, custom: [] },
+            users: { allow: [], block: [], rules: {} },
+            replies: { enabled: false, images: false, gifs: false, videos: false, spoilers: false, minLikes: 0, containsStrings: [] },
+            profiles: { named: {}, active: {} },
+        };
+        onApply = sinon.spy();
+        const store = new ConfigStore(structuredClone(config), createStorage());
+        settingsPanel = new SettingsPanel(config, onApply, () => 'home', store);
+        settingsPanel.openPanel();
+    });
+
+    afterEach(() => {
+        settingsPanel.closePanel();
+    });
+
+    const getInput = (path) => settingsPanel.panel.querySelector(`[data-path="${path}"]`);
+
+    it('should render an input for every config key', () => {
+        Object.keys(config).forEach(section => Object.keys(config[section]).forEach(key => {
+            expect(getInput(`${section}.${key}`)).to.not.be.null;
+        }));
+    });
+
+    it('should apply valid changes to the config and call onApply', () => {
+        getInput('remove.images').checked = true;
+        getInput('options.targetLoadCount').value = '5';
+        getInput('remove.containsStrings').value = '["plans to watch"]';
+        getInput('options.hideAction').value = 'collapse';
+
+        expect(settingsPanel.applySettings()).to.be.true;
+        expect(config.remove.images).to.be.true;
+        expect(config.options.targetLoadCount).to.equal(5);
+        expect(config.remove.containsStrings).to.deep.equal(['plans to watch']);
+        expect(config.options.hideAction).to.equal('collapse');
+        expect(onApply.calledOnce).to.be.true;
+        expect(settingsPanel.panel).to.be.null;
+    });
+
+    it('should reject changes that fail validation', () => {
+        const errorElement = settingsPanel.error;
+        getInput('options.targetLoadCount').value = '0';
+
+        expect(settingsPanel.applySettings()).to.be.false;
+        expect(config.options.targetLoadCount).to.equal(2);
+        expect(errorElement.textContent).to.match(/should be a positive non-zero integer/);
+        expect(onApply.called).to.be.false;
+    });
+
+    it('should reject invalid JSON', () => {
+        getInput('options.linkedConditions').value = '[images';
+
+        expect(settingsPanel.applySettings()).to.be.false;
+        expect(settingsPanel.error.textContent).to.equal('options.linkedConditions is not valid JSON');
+        expect(onApply.called).to.be.false;
+    });
+
+    describe('profile switcher', () => {
+        beforeEach(() => {
+            config.profiles.named = { 'Home: strict': { remove: { unliked: true } }, 'Media only': {} };
+            settingsPanel.createProfileSwitcher();
+        });
+
+        afterEach(() => {
+            settingsPanel.switcher.remove();
+        });
+
+        it('should list the named profiles and select the active one', () => {
+            config.profiles.active.home = 'Media only';
+            settingsPanel.refreshProfileSwitcher();
+
+            const options = [...settingsPanel.switcher.options].map(option => option.textContent);
+            expect(options).to.deep.equal(['Default profile', 'Home: strict', 'Media only']);
+            expect(settingsPanel.switcher.value).to.equal('Media only');
+        });
+
+        it('should change the active profile of the current feed', () => {
+            settingsPanel.switchProfile('Home: strict');
+            expect(config.profiles.active).to.deep.equal({ home: 'Home: strict' });
+
+            settingsPanel.switchProfile('');
+            expect(config.profiles.active).to.deep.equal({});
+            expect(onApply.calledTwice).to.be.true;
+        });
+
+        it('should be hidden without named profiles', () => {
+            config.profiles.named = {};
+            settingsPanel.refreshProfileSwitcher();
+
+            expect(settingsPanel.switcher.style.display).to.equal('none');
+        });
+    });
+
+    it('should show configuration problems in the page until dismissed or the panel is opened', () => {
+        settingsPanel.displayProblems([{ path: 'remove.images', message: 'remove.images should be a boolean', expected: 'boolean', actual: 'yes', suggestion: null }]);
+
+        expect(document.querySelector('.filter-settings-problems li').textContent).to.equal('remove.images should be a boolean (found "yes")');
+
+        settingsPanel.problems.querySelector('button').click();
+        expect(document.querySelector('.filter-settings-problems')).to.be.null;
+
+        settingsPanel.displayProblems([{ path: 'filters', message: 'filters is not a known setting', expected: 'a known setting', actual: {}, suggestion: null }]);
+        settingsPanel.openPanel();
+        expect(settingsPanel.problems).to.be.null;
+    });
+
+    describe('import and export', () => {
+        const setImport = (value, mode = 'merge') => {
+            settingsPanel.transfer.text.value = value;
+            settingsPanel.transfer.mode.value = mode;
+        };
+
+        it('should export the config as a versioned document', () => {
+            const download = sinon.stub(settingsPanel, 'downloadExport');
+            config.remove.containsStrings = ['spoiler'];
+
+            const exported = JSON.parse(settingsPanel.exportSettings());
+
+            expect(exported).to.deep.include({ format: settingsPanel.store.EXPORT_FORMAT, version: settingsPanel.store.SCHEMA_VERSION });
+            expect(exported.config.remove.containsStrings).to.deep.equal(['spoiler']);
+            expect(settingsPanel.transfer.text.value).to.equal(download.firstCall.args[0]);
+        });
+
+        it('should preview the changes of an import before applying it', () => {
+            config.remove.containsStrings = ['A'];
+            setImport('{"remove": {"containsStrings": ["B"], "images": true}}');
+
+            expect(settingsPanel.transfer.importButton.disabled).to.be.true;
+            expect(settingsPanel.previewImport()).to.have.lengthOf(2);
+            expect([...settingsPanel.transfer.preview.children].map(item => item.textContent)).to.deep.equal([
+                'remove.images: false → true',
+                'remove.containsStrings: ["A"] → ["A","B"]',
+            ]);
+            expect(settingsPanel.transfer.importButton.disabled).to.be.false;
+            expect(onApply.called).to.be.false;
+        });
+
+        it('should merge or replace lists when importing', () => {
+            config.remove.containsStrings = ['A'];
+            setImport('{"remove": {"containsStrings": ["B"]}}');
+
+            expect(settingsPanel.importSettings()).to.be.true;
+            expect(config.remove.containsStrings).to.deep.equal(['A', 'B']);
+
+            settingsPanel.openPanel();
+            setImport('{"remove": {"containsStrings": ["C"]}}', 'replace');
+
+            expect(settingsPanel.importSettings()).to.be.true;
+            expect(config.remove.containsStrings).to.deep.equal(['C']);
+            expect(onApply.calledTwice).to.be.true;
+        });
+
+        it('should merge or replace map-valued settings when importing', () => {
+            config.users.rules = { A: ['images'] };
+            config.options.conditionActions = { images: 'blur' };
+            config.profiles.named = { strict: { remove: { images: true } } };
+            const imported = JSON.stringify({
+                users: { rules: { B: ['videos'] } },
+                options: { conditionActions: { videos: 'dim' } },
+                profiles: { named: { loose: { remove: { images: false } } } },
+            });
+            setImport(imported);
+
+            expect(settingsPanel.importSettings()).to.be.true;
+            expect(config.users.rules).to.deep.equal({ A: ['images'], B: ['videos'] });
+            expect(config.options.conditionActions).to.deep.equal({ images: 'blur', videos: 'dim' });
+            expect(Object.keys(config.profiles.named)).to.deep.equal(['strict', 'loose']);
+
+            settingsPanel.openPanel();
+            setImport(imported, 'replace');
+
+            expect(settingsPanel.importSettings()).to.be.true;
+            expect(config.users.rules).to.deep.equal({ B: ['videos'] });
+            expect(config.options.conditionActions).to.deep.equal({ videos: 'dim' });
+            expect(config.profiles.named).to.deep.equal({ loose: { remove: { images: false } } });
+            expect(config.users.allow).to.deep.equal([]);
+        });
+
+        it('should not import settings that fail validation', () => {
+            setImport('{"options": {"linkedConditions": ["memes"]}}');
+
+            expect(settingsPanel.importSettings()).to.be.false;
+            expect(config.options.linkedConditions).to.deep.equal([]);
+            expect(settingsPanel.error.textContent).to.match(/options.linkedConditions/);
+            expect(onApply.called).to.be.false;
+        });
+
+        it('should show why an import cannot be previewed', () => {
+            setImport('{"remove": {"image": true}}');
+
+            expect(settingsPanel.previewImport()).to.be.null;
+            expect(settingsPanel.error.textContent).to.equal('Imported settings contain unknown keys: remove.image');
+            expect(settingsPanel.transfer.importButton.disabled).to.be.true;
+        });
+    });
+});
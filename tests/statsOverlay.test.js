@@ -0,0 +1,73 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatsOverlay, StatsTracker } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+const { createStorage } = require('./helpers/storage');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+global.window = jsdom.window;
+global.document = jsdom.window.document;
+global.HTMLElement = jsdom.window.HTMLElement;
+
+describe('StatsOverlay', () => {
+    let stats;
+    let config;
+    let onRestore;
+    let statsOverlay;
+
+    const hiddenVerdict = { remove: true, reasons: ['images'], linkedGroups: [] };
+
+    const createActivity = (author) => {
+        const node = document.createElement('div');
+        node.innerHTML = `<a class="name">${author}</a><div class="activity-markdown">Look at this</div>`;
+        document.body.appendChild(node);
+        return node;
+    };
+
+    beforeEach(() => {
+        stats = new StatsTracker(createStorage());
+        config = { options: { showStats: true } };
+        onRestore = sinon.spy();
+        statsOverlay = new StatsOverlay(stats, config, onRestore);
+        statsOverlay.create();
+    });
+
+    afterEach(() => {
+        statsOverlay.overlay.remove();
+    });
+
+    it('should show the session counters and update them with every record', () => {
+        stats.record(createActivity('A'), hiddenVerdict);
+        stats.record(createActivity('B'), { remove: false, reasons: [], linkedGroups: [] });
+
+        expect(statsOverlay.summary.textContent).to.equal('2 scanned, 1 hidden, 1 kept');
+    });
+
+    it('should be hidden unless showStats is enabled', () => {
+        config.options.showStats = false;
+        statsOverlay.update();
+
+        expect(statsOverlay.overlay.style.display).to.equal('none');
+    });
+
+    it('should list the breakdown and hidden activities in the details', () => {
+        stats.record(createActivity('A'), hiddenVerdict);
+
+        statsOverlay.summary.click();
+
+        expect(statsOverlay.details.textContent).to.include('images: 1');
+        expect(statsOverlay.details.querySelector('.filter-stats-entry').textContent).to.equal('A: Look at this (images) Restore');
+    });
+
+    it('should restore a hidden activity from the log', () => {
+        stats.record(createActivity('A'), hiddenVerdict);
+        const [entry] = stats.log;
+        statsOverlay.openDetails();
+
+        statsOverlay.details.querySelector('.filter-stats-entry button').click();
+
+        expect(onRestore.calledOnceWith(entry)).to.be.true;
+        expect(stats.log).to.deep.equal([]);
+        expect(statsOverlay.details.textContent).to.include('Nothing hidden yet');
+    });
+});
@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { StatsTracker } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+const { createStorage } = require('./helpers/storage');
+
+describe('StatsTracker', () => {
+    let storage;
+    let stats;
+    let document;
+
+    const hiddenVerdict = {
+        remove: true,
+        reasons: ['images', 'unliked'],
+        linkedGroups: [{ conditions: ['images', 'unliked'], matched: true }, { conditions: ['text'], matched: false }],
+    };
+    const keptVerdict = { remove: false, reasons: [], linkedGroups: [] };
+
+    const createActivity = (author, text) => {
+        const node = document.createElement('div');
+        node.className = 'activity-entry';
+        node.innerHTML = `<a class="name"> ${author} </a><div class="activity-markdown">${text}</div><div class="time"><a href="https://anilist.co/activity/1">time</a></div>`;
+        document.body.appendChild(node);
+        return node;
+    };
+
+    beforeEach(() => {
+        document = new JSDOM('<!doctype html><html lang="en"><body></body></html>').window.document;
+
+        storage = createStorage();
+
+        stats = new StatsTracker(storage);
+    });
+
+    it('should count scanned, hidden and kept activities with a breakdown by reason and linked group', () => {
+        stats.record(createActivity('A', 'a'), hiddenVerdict);
+        stats.record(createActivity('B', 'b'), keptVerdict);
+        stats.record(createActivity('C', 'c'), { ...hiddenVerdict, reasons: ['images'], linkedGroups: [] });
+
+        expect(stats.session).to.deep.equal({
+            scanned: 3,
+            removed: 2,
+            kept: 1,
+            conditions: { images: 2, unliked: 1 },
+            linkedGroups: { '[images + unliked]': 1 },
+        });
+    });
+
+    it('should count every activity only once', () => {
+        const node = createActivity('A', 'a');
+
+        stats.record(node, hiddenVerdict);
+        stats.record(node, keptVerdict);
+
+        expect(stats.session.scanned).to.equal(1);
+        expect(stats.log).to.have.lengthOf(1);
+    });
+
+    it('should keep the all-time statistics in storage', () => {
+        const clock = sinon.useFakeTimers();
+        stats.record(createActivity('A', 'a'), hiddenVerdict);
+        stats.record(createActivity('B', 'b'), keptVerdict);
+        expect(storage.getItem(stats.STORAGE_KEY)).to.be.null;
+
+        clock.tick(stats.SAVE_DELAY);
+        clock.restore();
+        const restored = new StatsTracker(storage);
+
+        expect(restored.session.scanned).to.equal(0);
+        expect(restored.total.removed).to.equal(1);
+        expect(restored.total.conditions).to.deep.equal({ images: 1, unliked: 1 });
+    });
+
+    it('should reset the all-time statistics', () => {
+        stats.record(createActivity('A', 'a'), hiddenVerdict);
+
+        stats.resetTotal();
+
+        expect(new StatsTracker(storage).total.scanned).to.equal(0);
+        expect(stats.session.scanned).to.equal(1);
+    });
+
+    it('should log hidden activities with author, snippet, reasons and link', () => {
+        const node = createActivity('A', `  ${'word '.repeat(30)}`);
+        const next = node.nextSibling;
+
+        stats.record(node, hiddenVerdict);
+
+        expect(stats.log).to.have.lengthOf(1);
+        expect(stats.log[0]).to.include({ node, parent: document.body, next, author: 'A', link: 'https://anilist.co/activity/1' });
+        expect(stats.log[0].snippet).to.have.lengthOf(stats.SNIPPET_LENGTH);
+        expect(stats.log[0].reasons).to.deep.equal(['images', 'unliked']);
+    });
+
+    it('should keep only the most recent entries in the log', () => {
+        stats.LOG_LIMIT = 2;
+
+        ['A', 'B', 'C'].forEach(author => stats.record(createActivity(author, 'text'), hiddenVerdict));
+
+        expect(stats.log.map(entry => entry.author)).to.deep.equal(['C', 'B']);
+    });
+
+    it('should notify about changes and forget restored entries', () => {
+        let changes = 0;
+        stats.onChange = () => changes++;
+        stats.record(createActivity('A', 'a'), hiddenVerdict);
+
+        stats.forget(stats.log[0]);
+
+        expect(stats.log).to.deep.equal([]);
+        expect(changes).to.equal(2);
+    });
+
+    it('should keep counting when the statistics cannot be saved', () => {
+        const clock = sinon.useFakeTimers();
+        const consoleError = sinon.stub(console, 'error');
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+
+        stats.record(createActivity('A', 'a'), hiddenVerdict);
+        clock.tick(stats.SAVE_DELAY);
+        stats.record(createActivity('B', 'b'), keptVerdict);
+
+        expect(stats.session.scanned).to.equal(2);
+        expect(consoleError.calledOnceWith('Statistics could not be saved')).to.be.true;
+        consoleError.restore();
+        clock.restore();
+    });
+
+    it('should start over when the saved statistics are corrupt', () => {
+        storage.setItem(stats.STORAGE_KEY, '{');
+
+        expect(new StatsTracker(storage).total).to.deep.equal(stats.createCounters());
+    });
+});
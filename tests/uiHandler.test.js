@@ -1,7 +1,7 @@
 const chai = require('chai');
 const sinon = require('sinon');
 const { expect } = chai;
-const { UIHandler } = require('../src/activityFeedFilter.user');
+const { UIHandler, EventBus } = require('../src/activityFeedFilter.user');
 const { JSDOM } = require('jsdom');
 const { restore } = require('sinon');
 
@@ -19,6 +19,7 @@ describe('UIHandler', () => {
 
     afterEach(() => {
         restore();
+        clearInterval(uiHandler.scrollInterval);
     });
 
     it('should set loadMore button and handle click', () => {
@@ -39,10 +40,326 @@ describe('UIHandler', () => {
         showCancelSpy.restore();
     });
 
+    it('should listen to a Load More button only once when it is assigned again', () => {
+        const loadMoreButton = document.createElement('button');
+        const triggerScrollEvents = sinon.stub(uiHandler, 'triggerScrollEvents');
+
+        uiHandler.assignLoadMore(loadMoreButton);
+        uiHandler.assignLoadMore(loadMoreButton);
+        uiHandler.resetRoute();
+        uiHandler.assignLoadMore(loadMoreButton);
+        loadMoreButton.click();
+
+        expect(uiHandler.loadMore).to.equal(loadMoreButton);
+        expect(triggerScrollEvents.calledOnce).to.be.true;
+        uiHandler.cancel.remove();
+    });
+
     it('should reset the state', () => {
         uiHandler.userPressed = true;
         uiHandler.resetState();
 
         expect(uiHandler.userPressed).to.be.false;
     });
+
+    it('should restore the initial state for a new route', () => {
+        uiHandler.userPressed = false;
+        uiHandler.loadMore = document.createElement('button');
+        uiHandler.createCancel();
+
+        uiHandler.resetRoute();
+
+        expect(uiHandler.userPressed).to.be.true;
+        expect(uiHandler.loadMore).to.be.null;
+        expect(uiHandler.cancel.style.display).to.equal('none');
+
+        uiHandler.cancel.remove();
+    });
+
+    describe('load limits', () => {
+        let clock;
+        let loadMoreButton;
+        let clickSpy;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            loadMoreButton = document.createElement('button');
+            uiHandler.assignLoadMore(loadMoreButton);
+            clickSpy = sinon.spy(loadMoreButton, 'click');
+            sinon.stub(uiHandler, 'triggerScrollEvents');
+        });
+
+        afterEach(() => {
+            clock.restore();
+            uiHandler.cancel?.remove();
+            uiHandler.notice?.remove();
+        });
+
+        it('should show the progress on the cancel button', () => {
+            loadMoreButton.click();
+            uiHandler.clickLoadMore();
+
+            uiHandler.updateProgress({ shown: 3, target: 10, scanned: 48 });
+
+            expect(uiHandler.cancel.textContent).to.equal('Cancel (3/10 shown, 48 scanned, page 1)');
+        });
+
+        it('should stop after the maximum number of pages per click and say so', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 2, maxLoadTime: 0, loadBackoff: 0 });
+            uiHandler.updateProgress({ shown: 1, target: 10, scanned: 30 });
+
+            [1, 2, 3].forEach(() => uiHandler.clickLoadMore());
+
+            expect(clickSpy.callCount).to.equal(2);
+            expect(uiHandler.userPressed).to.be.false;
+            expect(uiHandler.notice.textContent).to.equal('Stopped loading after 2 pages, 1/10 activities shown');
+
+            clock.tick(uiHandler.NOTICE_DURATION);
+            expect(uiHandler.notice.style.display).to.equal('none');
+        });
+
+        it('should stop after the maximum load time', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 0, maxLoadTime: 5, loadBackoff: 0 });
+            uiHandler.clickLoadMore();
+
+            clock.tick(5000);
+            uiHandler.clickLoadMore();
+
+            expect(clickSpy.calledOnce).to.be.true;
+            expect(uiHandler.notice.textContent).to.match(/^Stopped loading after 5 seconds/);
+        });
+
+        it('should start a new limit for every click of the user', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 1, maxLoadTime: 0, loadBackoff: 0 });
+            uiHandler.clickLoadMore();
+            uiHandler.clickLoadMore();
+
+            loadMoreButton.click();
+            uiHandler.clickLoadMore();
+
+            expect(clickSpy.callCount).to.equal(3);
+            expect(uiHandler.pages).to.equal(1);
+        });
+
+        it('should wait between clicks and back off while pages add no visible activities', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 0, maxLoadTime: 0, loadBackoff: 100 });
+
+            uiHandler.clickLoadMore();
+            expect(clickSpy.callCount).to.equal(1);
+
+            uiHandler.clickLoadMore();
+            uiHandler.clickLoadMore();
+            clock.tick(100);
+            expect(clickSpy.callCount).to.equal(2);
+
+            uiHandler.clickLoadMore();
+            clock.tick(100);
+            expect(clickSpy.callCount).to.equal(2);
+            clock.tick(100);
+            expect(clickSpy.callCount).to.equal(3);
+
+            uiHandler.updateProgress({ shown: 1, target: 10, scanned: 20 });
+            uiHandler.clickLoadMore();
+            clock.tick(400);
+            expect(clickSpy.callCount).to.equal(4);
+
+            uiHandler.clickLoadMore();
+            clock.tick(100);
+            expect(clickSpy.callCount).to.equal(5);
+        });
+
+        it('should emit events when loading starts and stops', () => {
+            const events = new EventBus();
+            const start = sinon.spy();
+            const stop = sinon.spy();
+            events.on('loadmore:start', start);
+            events.on('loadmore:stop', stop);
+            uiHandler.events = events;
+            uiHandler.setLimits({ maxPagesPerClick: 1, maxLoadTime: 0, loadBackoff: 0 });
+            uiHandler.updateProgress({ shown: 1, target: 10, scanned: 30 });
+
+            uiHandler.clickLoadMore();
+            uiHandler.clickLoadMore();
+            uiHandler.resetState();
+
+            expect(start.calledOnceWith({ limits: { maxPagesPerClick: 1, maxLoadTime: 0, loadBackoff: 0 } })).to.be.true;
+            expect(stop.calledOnceWith({ reason: 'Stopped loading after 1 pages', pages: 1, shown: 1, target: 10, scanned: 30 })).to.be.true;
+        });
+
+        it('should emit the stop event when loading is cancelled', () => {
+            const events = new EventBus();
+            const stop = sinon.spy();
+            events.on('loadmore:stop', stop);
+            uiHandler.events = events;
+            uiHandler.updateProgress({ shown: 1, target: 10, scanned: 30 });
+
+            loadMoreButton.click();
+            uiHandler.clickLoadMore();
+            uiHandler.cancel.click();
+
+            expect(stop.calledOnceWith({ reason: 'Cancelled', pages: 1, shown: 1, target: 10, scanned: 30 })).to.be.true;
+        });
+
+        it('should start new limits when loading again after cancelling', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 0, maxLoadTime: 30, loadBackoff: 100 });
+            loadMoreButton.click();
+            uiHandler.clickLoadMore();
+            uiHandler.clickLoadMore();
+
+            uiHandler.cancel.click();
+            clock.tick(31000);
+
+            expect(clickSpy.callCount).to.equal(2);
+            expect(uiHandler.startTime).to.be.null;
+
+            loadMoreButton.click();
+            uiHandler.clickLoadMore();
+
+            expect(clickSpy.callCount).to.equal(4);
+            expect(uiHandler.notice).to.be.null;
+        });
+
+        it('should not start loading without a Load More button', () => {
+            const events = new EventBus();
+            const start = sinon.spy();
+            events.on('loadmore:start', start);
+            uiHandler.events = events;
+            uiHandler.loadMore = null;
+
+            expect(uiHandler.clickLoadMore()).to.be.null;
+            expect(uiHandler.startTime).to.be.null;
+            expect(uiHandler.pages).to.equal(0);
+            expect(start.called).to.be.false;
+        });
+
+        it('should cancel a pending click when the state is reset', () => {
+            uiHandler.setLimits({ maxPagesPerClick: 0, maxLoadTime: 0, loadBackoff: 100 });
+            uiHandler.clickLoadMore();
+            uiHandler.clickLoadMore();
+
+            uiHandler.resetState();
+            clock.tick(100);
+
+            expect(clickSpy.calledOnce).to.be.true;
+        });
+    });
+
+    describe('infinite scroll', () => {
+        let observers;
+        let loadMoreButton;
+        let clickSpy;
+        let hidden;
+
+        class FakeIntersectionObserver {
+            constructor(callback) {
+                this.callback = callback;
+                this.targets = [];
+                observers.push(this);
+            }
+
+            observe = (target) => this.targets.push(target);
+
+            disconnect = () => this.targets = [];
+
+            trigger = (isIntersecting) => this.callback(this.targets.map(target => ({ target, isIntersecting })));
+        }
+
+        beforeEach(() => {
+            observers = [];
+            hidden = false;
+            global.IntersectionObserver = FakeIntersectionObserver;
+            Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+            loadMoreButton = document.createElement('button');
+            clickSpy = sinon.spy(loadMoreButton, 'click');
+            sinon.stub(uiHandler, 'triggerScrollEvents');
+        });
+
+        afterEach(() => {
+            uiHandler.setInfiniteScroll(false);
+            uiHandler.cancel?.remove();
+            delete global.IntersectionObserver;
+            delete document.hidden;
+        });
+
+        it('should not observe the button unless enabled', () => {
+            uiHandler.assignLoadMore(loadMoreButton);
+
+            expect(observers).to.have.lengthOf(0);
+        });
+
+        it('should start loading when the button scrolls into view', () => {
+            uiHandler.setInfiniteScroll(true);
+            uiHandler.assignLoadMore(loadMoreButton);
+            uiHandler.userPressed = false;
+
+            observers[0].trigger(false);
+            expect(clickSpy.called).to.be.false;
+
+            observers[0].trigger(true);
+            expect(clickSpy.calledOnce).to.be.true;
+            expect(uiHandler.userPressed).to.be.true;
+            expect(uiHandler.startTime).to.not.be.null;
+        });
+
+        it('should not start a new click while loading is in progress', () => {
+            uiHandler.setInfiniteScroll(true);
+            uiHandler.assignLoadMore(loadMoreButton);
+
+            observers[0].trigger(true);
+            observers[0].trigger(true);
+
+            expect(clickSpy.calledOnce).to.be.true;
+        });
+
+        it('should pause while the tab is hidden and resume when it is visible again', () => {
+            uiHandler.setInfiniteScroll(true);
+            uiHandler.assignLoadMore(loadMoreButton);
+
+            hidden = true;
+            observers[0].trigger(true);
+            expect(clickSpy.called).to.be.false;
+
+            hidden = false;
+            document.dispatchEvent(new window.Event('visibilitychange'));
+            expect(clickSpy.calledOnce).to.be.true;
+
+            hidden = true;
+            document.dispatchEvent(new window.Event('visibilitychange'));
+            expect(uiHandler.userPressed).to.be.false;
+            expect(uiHandler.startTime).to.be.null;
+        });
+
+        it('should stop observing when disabled or on a new route', () => {
+            uiHandler.setInfiniteScroll(true);
+            uiHandler.assignLoadMore(loadMoreButton);
+
+            uiHandler.resetRoute();
+            expect(observers[0].targets).to.deep.equal([]);
+
+            uiHandler.assignLoadMore(loadMoreButton);
+            uiHandler.setInfiniteScroll(false);
+            expect(observers[0].targets).to.deep.equal([]);
+        });
+    });
+
+    it('should run only one scroll interval and stop it at the time limit', () => {
+        const clock = sinon.useFakeTimers();
+        global.window = { dispatchEvent: sinon.spy() };
+        uiHandler.setLimits({ maxPagesPerClick: 0, maxLoadTime: 1, loadBackoff: 0 });
+        uiHandler.startLoading();
+
+        uiHandler.triggerScrollEvents();
+        uiHandler.triggerScrollEvents();
+        clock.tick(500);
+        expect(window.dispatchEvent.callCount).to.equal(5);
+
+        clock.tick(1000);
+        expect(window.dispatchEvent.callCount).to.equal(9);
+        expect(uiHandler.userPressed).to.be.false;
+        expect(uiHandler.scrollInterval).to.be.null;
+
+        clock.restore();
+        uiHandler.notice.remove();
+        global.window = jsdom.window;
+    });
 });
\ No newline at end of file
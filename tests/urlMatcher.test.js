@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+const { UrlMatcher } = require('../src/activityFeedFilter.user');
+
+describe('UrlMatcher', () => {
+    const testCases = [
+        { pattern: 'https://anilist.co/home', url: 'https://anilist.co/home', expected: true },
+        { pattern: 'https://anilist.co/home', url: 'https://anilist.co/home/?page=2#top', expected: true },
+        { pattern: 'https://anilist.co/home/', url: 'https://anilist.co/home', expected: true },
+        { pattern: 'https://anilist.co/home', url: 'https://anilist.co/homepage', expected: false },
+        { pattern: 'https://anilist.co/home', url: 'https://anilistXco/home', expected: false },
+        { pattern: 'https://anilist.co/home', url: 'https://example.com/?https://anilist.co/home', expected: false },
+        { pattern: 'https://anilist.co/user/*', url: 'https://anilist.co/user/name/', expected: true },
+        { pattern: 'https://anilist.co/user/*', url: 'https://anilist.co/user/name/animelist', expected: false },
+        { pattern: 'https://anilist.co/*/*/social', url: 'https://anilist.co/anime/1/social', expected: true },
+        { pattern: 'https://anilist.co/**/social', url: 'https://anilist.co/anime/1/Cowboy-Bebop/social', expected: true },
+        { pattern: 'https://anilist.co/**/social', url: 'https://anilist.co/social', expected: false },
+        { pattern: 'https://anilist.co/user/(name)', url: 'https://anilist.co/user/(name)', expected: true },
+    ];
+
+    testCases.forEach(({ pattern, url, expected }) => {
+        it(`should ${expected ? '' : 'not '}match ${url} with ${pattern}`, () => {
+            expect(UrlMatcher.matches(pattern, url)).to.equal(expected);
+        });
+    });
+
+    it('should replace placeholders with escaped parameters', () => {
+        expect(UrlMatcher.matches('https://anilist.co/user/{user}', 'https://anilist.co/user/A.B', { user: 'A.B' })).to.be.true;
+        expect(UrlMatcher.matches('https://anilist.co/user/{user}', 'https://anilist.co/user/AxB', { user: 'A.B' })).to.be.false;
+    });
+
+    it('should not match placeholders without a parameter', () => {
+        expect(UrlMatcher.matches('https://anilist.co/user/{user}', 'https://anilist.co/user/name', { user: null })).to.be.false;
+    });
+});